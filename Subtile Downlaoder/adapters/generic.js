@@ -0,0 +1,58 @@
+// Fallback for every page no other adapter claims: network requests are
+// sniffed for sidecar subtitle files, HLS playlists and DASH manifests.
+
+// Strict subtitle URL detection - reduced false positives
+function isSubtitleUrl(url) {
+  const lowerUrl = url.toLowerCase();
+
+  // Exclude common non-subtitle file types and patterns
+  if (/\.(js|javascript|json|css|html|php|xml|map|txt|log)(\?|$)/i.test(lowerUrl)) {
+    return false;
+  }
+
+  // Exclude ad/tracking URLs and common scripts
+  if (lowerUrl.includes('google-analytics') ||
+      lowerUrl.includes('doubleclick') ||
+      lowerUrl.includes('analytics') ||
+      lowerUrl.includes('tracking') ||
+      lowerUrl.includes('adserver') ||
+      lowerUrl.includes('webpack') ||
+      lowerUrl.includes('chunk') ||
+      lowerUrl.includes('polyfill')) {
+    return false;
+  }
+
+  // Check for actual subtitle file extensions or paths
+  return /\.(vtt|srt|ass|ssa|sbv|sub|ttml|dfxp)(\?|$)/i.test(lowerUrl) ||
+         /\/subtitles?\//i.test(lowerUrl) ||
+         /\/captions?\//i.test(lowerUrl);
+}
+
+const GENERIC_ADAPTER = registerSiteAdapter({
+  id: 'generic',
+  label: 'Generic',
+  matches: ['<all_urls>'],
+  fallback: true,
+
+  // 'subtitle', 'hls', 'dash' or null; responseHeaders are missing before the response
+  classifyRequest(details) {
+    const url = details.url;
+    if (isSubtitleUrl(url)) return 'subtitle';
+
+    const contentType = details.responseHeaders?.find(h =>
+      h.name.toLowerCase() === 'content-type'
+    )?.value?.toLowerCase() || '';
+
+    if (contentType && (
+      contentType.includes('text/vtt') ||
+      contentType.includes('text/srt') ||
+      contentType.includes('application/ttml')
+    ) && !contentType.includes('javascript')) {
+      return 'subtitle';
+    }
+
+    if (/\.m3u8(\?|$)/i.test(url)) return 'hls';
+    if (/\.mpd(\?|$)/i.test(url) || contentType.includes('application/dash+xml')) return 'dash';
+    return null;
+  }
+});
@@ -0,0 +1,138 @@
+// Site adapters keep per-platform knowledge out of the background worker.
+// An adapter is a plain object passed to registerSiteAdapter():
+//
+//   id, label          short name, and the source shown on captured records
+//   matches            page URL match patterns (Chrome syntax) the adapter handles
+//   fallback           true for the one adapter used when no other matches
+//   requestMatches     request URL patterns the adapter wants to see
+//   classifyRequest(details)        capture kind for such a request: 'subtitle',
+//                                   'hls', 'dash', 'tracks' (run discoverTracks) or null
+//   videoIdFor(pageUrl)             stable id of the video on a page, or ''
+//   discoverTracks(page, context)   resolves { title, tracks: [{ url, language, label, kind, format }] },
+//                                   or null when the page could not be read
+//   metadataFor(page)               { show, season, episode, title } for file and folder names
+//   filenameHints(page, track)      extra buildCaptureFilename fields (videoId, kind, ...)
+//
+// page is { url, title } of the tab, plus requestUrl when a request matched by
+// requestMatches started the capture and videoTitle once discoverTracks named it.
+// context is { fetchText(url), log(...) }.
+// Hooks only see their arguments, so they run the same against recorded pages
+// and responses outside the extension: tests/*.test.js feed them the fixtures
+// in tests/fixtures (node --test tests/).
+
+const SITE_ADAPTERS = [];
+
+// Compiled match patterns
+const matchPatternCache = new Map();
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Chrome match pattern ("*://*.example.com/path*" or "<all_urls>") as a RegExp
+function matchPatternToRegExp(pattern) {
+  if (pattern === '<all_urls>') return /^(https?|wss?|ftp|file):/;
+
+  const match = /^(\*|https?|wss?|ftp|file):\/\/(\*|(?:\*\.)?[^/*]*)(\/.*)$/.exec(pattern);
+  if (!match) {
+    throw new Error(`Invalid match pattern: ${pattern}`);
+  }
+
+  const [, scheme, host, path] = match;
+  const schemeSource = scheme === '*' ? 'https?' : scheme;
+  let hostSource = escapeRegExp(host);
+  if (host === '*') {
+    hostSource = '[^/]+';
+  } else if (host.startsWith('*.')) {
+    hostSource = `(?:[^/]+\\.)?${escapeRegExp(host.slice(2))}`;
+  }
+  const pathSource = path.split('*').map(escapeRegExp).join('.*');
+  return new RegExp(`^${schemeSource}://${hostSource}(?::\\d+)?${pathSource}$`, 'i');
+}
+
+function urlMatchesPattern(url, pattern) {
+  if (!matchPatternCache.has(pattern)) {
+    matchPatternCache.set(pattern, matchPatternToRegExp(pattern));
+  }
+  return matchPatternCache.get(pattern).test(url);
+}
+
+function urlMatchesAny(url, patterns = []) {
+  return Boolean(url) && patterns.some(pattern => urlMatchesPattern(url, pattern));
+}
+
+// Balanced {...} object starting at index, skipping braces inside strings;
+// for player JSON embedded in page scripts
+function extractJsonObject(text, startIndex) {
+  let depth = 0;
+  let inString = false;
+
+  for (let i = startIndex; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      if (char === '\\') i++;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}') {
+      depth--;
+      if (depth === 0) return text.slice(startIndex, i + 1);
+    }
+  }
+
+  return null;
+}
+
+// Show, season and episode from the video or page title, as for any page
+function defaultSiteMetadata(page) {
+  const title = page.videoTitle || page.title;
+  const { show, season, episode } = parseEpisodeInfo(title, page.url);
+  return { show, season, episode, title: cleanPageTitle(title) };
+}
+
+function registerSiteAdapter(adapter) {
+  if (!adapter.id || SITE_ADAPTERS.some(existing => existing.id === adapter.id)) {
+    throw new Error(`Site adapter needs a unique id: ${adapter.id}`);
+  }
+
+  const registered = {
+    label: adapter.id,
+    matches: [],
+    requestMatches: [],
+    classifyRequest: () => null,
+    videoIdFor: () => '',
+    metadataFor: defaultSiteMetadata,
+    filenameHints: () => ({}),
+    ...adapter
+  };
+  SITE_ADAPTERS.push(registered);
+  return registered;
+}
+
+function siteAdapterById(id) {
+  return SITE_ADAPTERS.find(adapter => adapter.id === id) || null;
+}
+
+// Adapter for a page: the first specific one that matches, else the fallback
+function siteAdapterFor(pageUrl) {
+  return SITE_ADAPTERS.find(adapter => !adapter.fallback && urlMatchesAny(pageUrl, adapter.matches)) ||
+    SITE_ADAPTERS.find(adapter => adapter.fallback);
+}
+
+// { adapter, kind } for a network request, or null. An adapter that lists the
+// request in requestMatches decides it (null leaves it alone); the fallback
+// looks at everything else.
+function classifySiteRequest(details) {
+  const owner = SITE_ADAPTERS.find(adapter => !adapter.fallback && urlMatchesAny(details.url, adapter.requestMatches));
+  if (owner) {
+    const kind = owner.classifyRequest(details);
+    return kind ? { adapter: owner, kind } : null;
+  }
+
+  const fallback = SITE_ADAPTERS.find(adapter => adapter.fallback);
+  const kind = fallback?.classifyRequest(details);
+  return kind ? { adapter: fallback, kind } : null;
+}
@@ -0,0 +1,101 @@
+// Vimeo: the player config lists every text track (auto-generated ones too)
+// with its language, label and kind. It is read from the config request the
+// player makes, from the clip page, or from the config endpoint as a last resort.
+
+const VIMEO_CONFIG_PATTERN = '*://player.vimeo.com/video/*/config*';
+
+// Auto-generated tracks carry this suffix on their language code
+const VIMEO_AUTOGEN_SUFFIX = /-x-autogen$/i;
+
+// Player config embedded in an embed page, or the config URL named by a clip page
+function extractVimeoPlayerConfig(html) {
+  const match = /(?:window\.playerConfig|var config)\s*=\s*\{/.exec(html);
+  if (match) {
+    try {
+      const json = extractJsonObject(html, match.index + match[0].length - 1);
+      if (json) return { config: JSON.parse(json) };
+    } catch (error) {
+      // Fall back to the config URL
+    }
+  }
+
+  const configUrl = /"config_url"\s*:\s*("(?:[^"\\]|\\.)*")/.exec(html);
+  return configUrl ? { configUrl: JSON.parse(configUrl[1]) } : null;
+}
+
+function describeVimeoTextTracks(config) {
+  return (config?.request?.text_tracks || [])
+    .filter(track => track.url)
+    .map(track => {
+      const auto = VIMEO_AUTOGEN_SUFFIX.test(track.lang || '');
+      return {
+        url: new URL(track.url, 'https://player.vimeo.com').href,
+        language: String(track.lang || '').replace(VIMEO_AUTOGEN_SUFFIX, ''),
+        label: track.label || track.lang || '',
+        kind: auto ? 'asr' : (track.kind || 'subtitles'),
+        format: 'vtt'
+      };
+    });
+}
+
+const VIMEO_ADAPTER = registerSiteAdapter({
+  id: 'vimeo',
+  label: 'Vimeo',
+  matches: ['*://*.vimeo.com/*'],
+  // The tracks are fetched from the config, so the player's own track requests are left alone
+  requestMatches: [VIMEO_CONFIG_PATTERN, '*://*.vimeo.com/texttrack/*'],
+
+  classifyRequest(details) {
+    return urlMatchesPattern(details.url, VIMEO_CONFIG_PATTERN) ? 'tracks' : null;
+  },
+
+  // vimeo.com/123, vimeo.com/channels/name/123, player.vimeo.com/video/123
+  videoIdFor(pageUrl) {
+    let url;
+    try {
+      url = new URL(pageUrl);
+    } catch {
+      return '';
+    }
+    if (!/(^|\.)vimeo\.com$/.test(url.hostname)) return '';
+    return url.pathname.split('/').find(segment => /^\d+$/.test(segment)) || '';
+  },
+
+  async discoverTracks(page, context) {
+    const videoId = this.videoIdFor(page.requestUrl || '') || this.videoIdFor(page.url);
+    const configUrls = [];
+    let config = null;
+
+    if (page.requestUrl && urlMatchesPattern(page.requestUrl, VIMEO_CONFIG_PATTERN)) {
+      configUrls.push(page.requestUrl);
+    } else if (this.videoIdFor(page.url)) {
+      try {
+        const found = extractVimeoPlayerConfig(await context.fetchText(page.url));
+        config = found?.config || null;
+        if (found?.configUrl) configUrls.push(found.configUrl);
+      } catch (error) {
+        context.log('Vimeo page fetch failed:', page.url, error.message);
+      }
+    }
+    if (videoId) configUrls.push(`https://player.vimeo.com/video/${videoId}/config`);
+
+    for (const configUrl of configUrls) {
+      if (config) break;
+      try {
+        config = JSON.parse(await context.fetchText(configUrl));
+      } catch (error) {
+        context.log('Vimeo config fetch failed:', configUrl, error.message);
+      }
+    }
+    if (!config) return null;
+
+    return {
+      title: config.video?.title || '',
+      tracks: describeVimeoTextTracks(config)
+    };
+  },
+
+  filenameHints(page, track) {
+    return { kind: track.kind === 'asr' ? 'auto' : (track.kind === 'captions' ? 'sdh' : '') };
+  }
+});
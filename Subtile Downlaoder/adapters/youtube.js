@@ -0,0 +1,127 @@
+// YouTube: caption tracks are listed in the player response embedded in the
+// watch page (or the embed page when the watch page is gated) and fetched from
+// the timedtext API as json3.
+
+// Pull the player response JSON out of page HTML
+function extractYouTubePlayerResponse(html) {
+  const markers = [
+    /ytInitialPlayerResponse\s*=\s*\{/,
+    /"playerResponse"\s*:\s*\{/,
+    /"player_response"\s*:\s*"/
+  ];
+
+  for (const marker of markers) {
+    const match = marker.exec(html);
+    if (!match) continue;
+
+    try {
+      // Embed pages carry the player response as an escaped JSON string
+      if (match[0].endsWith('"')) {
+        const start = match.index + match[0].length - 1;
+        let end = start + 1;
+        while (end < html.length && html[end] !== '"') {
+          end += html[end] === '\\' ? 2 : 1;
+        }
+        return JSON.parse(JSON.parse(html.slice(start, end + 1)));
+      }
+
+      const json = extractJsonObject(html, match.index + match[0].length - 1);
+      if (json) {
+        return JSON.parse(json);
+      }
+    } catch (error) {
+      // Try the next marker
+    }
+  }
+
+  return null;
+}
+
+function youtubeText(value) {
+  return value?.simpleText || value?.runs?.map(run => run.text).join('') || '';
+}
+
+// Describe each entry of playerCaptionsTracklistRenderer.captionTracks
+function describeYouTubeCaptionTracks(playerResponse) {
+  const renderer = playerResponse?.captions?.playerCaptionsTracklistRenderer;
+
+  return (renderer?.captionTracks || [])
+    .filter(track => track.baseUrl)
+    .map(track => ({
+      url: new URL(track.baseUrl, 'https://www.youtube.com').href,
+      language: track.languageCode || '',
+      label: youtubeText(track.name) || track.languageCode,
+      kind: track.kind === 'asr' ? 'asr' : 'manual',
+      format: 'json3',
+      isTranslatable: Boolean(track.isTranslatable),
+      vssId: track.vssId || ''
+    }));
+}
+
+// Machine-translation targets offered for translatable tracks
+function describeYouTubeTranslationLanguages(playerResponse) {
+  const renderer = playerResponse?.captions?.playerCaptionsTracklistRenderer;
+
+  return (renderer?.translationLanguages || [])
+    .filter(language => language.languageCode)
+    .map(language => ({
+      languageCode: language.languageCode,
+      name: youtubeText(language.languageName) || language.languageCode
+    }));
+}
+
+const YOUTUBE_ADAPTER = registerSiteAdapter({
+  id: 'youtube',
+  label: 'YouTube',
+  matches: ['*://*.youtube.com/*', '*://youtu.be/*', '*://*.youtube-nocookie.com/*'],
+  requestMatches: ['*://*.youtube.com/api/timedtext*', '*://*.youtube.com/timedtext*', '*://video.google.com/timedtext*'],
+
+  // Timedtext responses the player loads itself are stored like any sidecar file
+  classifyRequest: () => 'subtitle',
+
+  // Watch, shorts and embed pages, and youtu.be links
+  videoIdFor(pageUrl) {
+    let url;
+    try {
+      url = new URL(pageUrl);
+    } catch {
+      return '';
+    }
+    const id = url.hostname === 'youtu.be'
+      ? url.pathname.slice(1)
+      : url.searchParams.get('v') || (url.pathname.match(/^\/(?:shorts|embed)\/([^/?#]+)/) || [])[1];
+    return /^[\w-]{11}$/.test(id || '') ? id : '';
+  },
+
+  // null when neither page could be read (worth retrying later)
+  async discoverTracks(page, context) {
+    const videoId = this.videoIdFor(page.url);
+    if (!videoId) return null;
+
+    const pageUrls = [
+      `https://www.youtube.com/watch?v=${videoId}&hl=en`,
+      `https://www.youtube.com/embed/${videoId}?hl=en`
+    ];
+
+    for (const pageUrl of pageUrls) {
+      try {
+        const playerResponse = extractYouTubePlayerResponse(await context.fetchText(pageUrl));
+        if (!playerResponse) continue;
+        return {
+          title: playerResponse.videoDetails?.title || '',
+          tracks: describeYouTubeCaptionTracks(playerResponse),
+          translationLanguages: describeYouTubeTranslationLanguages(playerResponse)
+        };
+      } catch (error) {
+        context.log('Player response fetch failed:', pageUrl, error.message);
+      }
+    }
+
+    return null;
+  },
+
+  // Speech recognition and machine-translated tracks are marked in the name
+  filenameHints(page, track) {
+    return { kind: track.targetLanguage ? 'translated' : (track.kind === 'asr' ? 'auto' : '') };
+  }
+});
@@ -1,425 +1,242 @@
 // Enhanced subtitle catcher with automatic file naming and YouTube support
+importScripts('settings.js', 'subtitle-formats.js', 'subtitle-naming.js', 'adapters/registry.js', 'adapters/youtube.js', 'adapters/vimeo.js', 'adapters/generic.js', 'subtitle-validator.js', 'subtitle-encoding.js', 'subtitle-hls.js', 'subtitle-dash.js', 'subtitle-mp4.js', 'subtitle-merge.js', 'subtitle-transcript.js', 'subtitle-search.js', 'subtitle-bundle.js', 'subtitle-store.js');
+
 const headerCache = new Map();
 const processedUrls = new Set();
 const failedUrls = new Set();
 const EXTENSION_MARKER = 'x-subtitle-catcher';
-const MAX_RETRIES = 2;
+
+// HLS subtitle renditions seen in master playlists, keyed by playlist URL without query
+const hlsRenditions = new Map();
+// Segments of HLS/DASH text tracks are downloaded this many at a time
+const SEGMENT_BATCH_SIZE = 4;
+// A subtitle playlist loaded on its own waits this long for its master playlist to claim it
+const HLS_RENDITION_CLAIM_DELAY = 3000;
+
+// Captures waiting for the user on sites set to "ask", keyed by page hostname:
+// { items: Map(url -> { kind, url, videoId?, tabInfo }), tabIds: Set }.
+// Kept in chrome.storage.session too, since the worker is stopped when idle.
+const pendingCaptures = new Map();
+const MAX_PENDING_PER_SITE = 50;
+const PENDING_STORAGE_KEY = 'pendingCaptures';
+let pendingCapturesLoaded = null;
 
 // YouTube specific caches
 const youtubeSubtitleCache = new Map();
 const processedYouTubeVideos = new Set();
+// "adapterId:videoId" of videos whose tracks other site adapters already fetched
+const processedAdapterVideos = new Set();
 
 // Debug logging
-const DEBUG = true;
 function log(...args) {
-  if (DEBUG) console.log('[SubtitleCatcher]', ...args);
+  if (Settings.get('debugLogging')) console.log('[SubtitleCatcher]', ...args);
 }
 
+// What site adapter hooks may use of the extension
+const siteAdapterContext = {
+  async fetchText(url) {
+    const response = await fetch(url, {
+      headers: { [EXTENSION_MARKER]: '1' },
+      credentials: 'include'
+    });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    return response.text();
+  },
+  log
+};
+
 // YouTube subtitle extraction utilities
 class YouTubeSubtitleExtractor {
+  // Discover the video's caption tracks and fetch each one that exists
   static async extractSubtitlesFromVideoId(videoId, tabInfo = {}) {
     if (processedYouTubeVideos.has(videoId)) {
       log('Video already processed:', videoId);
-      return;
+      return youtubeSubtitleCache.get(videoId)?.tracks || [];
     }
     
     processedYouTubeVideos.add(videoId);
     log('Extracting subtitles for YouTube video:', videoId);
     
-    // Method 1: Direct timedtext API
-    await this.tryDirectTimedTextAPI(videoId, tabInfo);
-    
-    // Method 2: Player API approach
-    await this.tryPlayerAPI(videoId, tabInfo);
-    
-    // Method 3: Video info approach
-    await this.tryVideoInfoAPI(videoId, tabInfo);
-  }
-  
-  static async tryDirectTimedTextAPI(videoId, tabInfo) {
-    const languages = ['en', 'es', 'fr', 'de', 'it', 'pt', 'ru', 'ja', 'ko', 'zh', 'ar', 'hi', 'th', 'vi', 'tr', 'pl', 'nl', 'sv', 'da', 'no'];
-    const formats = ['vtt', 'srv3', 'ttml', 'srv1', 'srv2'];
-    const tlangOptions = ['', 'en', 'es', 'fr', 'de'];
+    const { tracks } = await this.getCaptionTracks(videoId);
+    if (tracks.length === 0) {
+      log('No caption tracks listed for video:', videoId);
+      return tracks;
+    }
     
-    // Advanced URL patterns with multiple parameters
-    const urlTemplates = [
-      'https://www.youtube.com/api/timedtext?v=${videoId}&lang=${lang}&fmt=${fmt}',
-      'https://www.youtube.com/api/timedtext?v=${videoId}&lang=${lang}&fmt=${fmt}&tlang=${tlang}',
-      'https://video.google.com/timedtext?v=${videoId}&lang=${lang}&fmt=${fmt}',
-      'https://www.youtube.com/timedtext?v=${videoId}&lang=${lang}&fmt=${fmt}&name=',
-      'https://www.youtube.com/api/timedtext?v=${videoId}&lang=${lang}&fmt=${fmt}&kind=asr',
-      'https://www.youtube.com/api/timedtext?v=${videoId}&lang=${lang}&fmt=${fmt}&xoaf=5&hl=en',
-      'https://www.youtube.com/api/timedtext?v=${videoId}&lang=${lang}&fmt=${fmt}&caps=asr&exp=xftt',
-      'https://youtubei.googleapis.com/youtubei/v1/player/timedtext?v=${videoId}&lang=${lang}&fmt=${fmt}',
-      'https://www.youtube.com/get_video_info?video_id=${videoId}&el=detailpage&hl=${lang}',
-      'https://www.youtube.com/youtubei/v1/player?videoId=${videoId}&contentPlaybackContext.html5Preference=HTML5_PREF_WANTS'
-    ];
+    tracks.forEach(track => {
+      log(`Caption track: ${track.label} [${track.language}] kind=${track.kind} translatable=${track.isTranslatable}`);
+    });
     
-    for (const lang of languages) {
-      for (const fmt of formats) {
-        for (const tlang of tlangOptions) {
-          for (const template of urlTemplates) {
-            try {
-              const url = template
-                .replace('${videoId}', videoId)
-                .replace('${lang}', lang)
-                .replace('${fmt}', fmt)
-                .replace('${tlang}', tlang);
-              
-              // Try multiple request strategies
-              await this.tryMultipleRequestStrategies(url, videoId, lang, fmt, tabInfo);
-              
-            } catch (error) {
-              // Silent fail for each attempt
-            }
-          }
-        }
-      }
+    // Only the preferred languages, or the video's first track when none of them is offered
+    await Settings.load();
+    const preferred = tracks.filter(track => isPreferredLanguage(track.language));
+    for (const track of preferred.length ? preferred : tracks.slice(0, 1)) {
+      await this.fetchCaptionTrack(videoId, track, tabInfo);
     }
     
-    // Try auto-generated captions
-    await this.tryAutoGeneratedCaptions(videoId, tabInfo);
-    
-    // Try embedded player extraction
-    await this.tryEmbeddedPlayerExtraction(videoId, tabInfo);
+    return tracks;
   }
   
-  static async tryMultipleRequestStrategies(url, videoId, lang, fmt, tabInfo) {
-    const strategies = [
-      // Strategy 1: Standard fetch
-      () => fetch(url, {
-        method: 'GET',
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-          'Accept': 'text/vtt,text/xml,text/plain,*/*',
-          'Referer': `https://www.youtube.com/watch?v=${videoId}`
-        },
-        credentials: 'omit'
-      }),
-      
-      // Strategy 2: Mobile user agent
-      () => fetch(url, {
-        method: 'GET',
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (iPhone; CPU iPhone OS 14_0 like Mac OS X) AppleWebKit/605.1.15',
-          'Accept': 'text/vtt,text/xml,text/plain,*/*',
-          'Referer': `https://m.youtube.com/watch?v=${videoId}`
-        },
-        credentials: 'omit'
-      }),
-      
-      // Strategy 3: Desktop Chrome
-      () => fetch(url, {
-        method: 'GET',
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-          'Accept': '*/*',
-          'Accept-Language': `${lang},en;q=0.9`,
-          'Cache-Control': 'no-cache',
-          'Pragma': 'no-cache'
-        },
-        credentials: 'include'
-      }),
-      
-      // Strategy 4: With origin header
-      () => fetch(url, {
-        method: 'GET',
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-          'Origin': 'https://www.youtube.com',
-          'Referer': 'https://www.youtube.com/',
-          'Accept': 'text/vtt,text/xml,application/xml,text/plain,*/*'
-        },
-        mode: 'cors',
-        credentials: 'omit'
-      }),
-      
-      // Strategy 5: Alternative endpoint
-      () => {
-        const altUrl = url.replace('api/timedtext', 'timedtext_video').replace('video.google.com', 'www.youtube.com');
-        return fetch(altUrl, {
-          method: 'GET',
-          headers: {
-            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-            'Accept': 'text/vtt,text/xml,text/plain,*/*'
-          }
-        });
-      }
-    ];
-    
-    for (let i = 0; i < strategies.length; i++) {
-      try {
-        const response = await strategies[i]();
-        if (response.ok) {
-          const content = await response.text();
-          if (content && content.trim() && this.isValidYouTubeSubtitle(content)) {
-            await this.processYouTubeSubtitle(content, url, videoId, lang, fmt, tabInfo);
-            log(`✅ Strategy ${i + 1} success: ${lang} subtitles in ${fmt} format`);
-            return; // Success, no need to try other strategies for this URL
-          }
-        }
-      } catch (error) {
-        log(`Strategy ${i + 1} failed for ${url}:`, error.message);
-      }
+  // Caption tracks listed by the YouTube adapter, cached per video
+  static async getCaptionTracks(videoId) {
+    if (youtubeSubtitleCache.has(videoId)) {
+      return youtubeSubtitleCache.get(videoId);
     }
-  }
-  
-  static async tryAutoGeneratedCaptions(videoId, tabInfo) {
-    const autoGenUrls = [
-      `https://www.youtube.com/api/timedtext?v=${videoId}&asr_langs=en,es,fr,de,it,pt,ru,ja,ko,zh&caps=asr&exp=xftt,xctw&xoaf=5&hl=en&ip=0.0.0.0&ipbits=0&expire=9999999999&sparams=ip,ipbits,expire,v,asr_langs,caps,exp,xoaf&signature=placeholder&key=yttt1&kind=asr`,
-      `https://www.youtube.com/api/timedtext?v=${videoId}&kind=asr&lang=en&fmt=srv3`,
-      `https://www.youtube.com/api/timedtext?v=${videoId}&kind=asr&lang=en&fmt=vtt&xoaf=5`,
-      `https://youtubei.googleapis.com/youtubei/v1/player/timedtext?v=${videoId}&kind=asr&fmt=json3`
-    ];
     
-    for (const url of autoGenUrls) {
-      try {
-        const response = await fetch(url, {
-          headers: {
-            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-            'X-YouTube-Client-Name': '1',
-            'X-YouTube-Client-Version': '2.20231201.01.00'
-          }
-        });
-        
-        if (response.ok) {
-          const content = await response.text();
-          if (content && this.isValidYouTubeSubtitle(content)) {
-            await this.processYouTubeSubtitle(content, url, videoId, 'auto', 'vtt', tabInfo);
-          }
-        }
-      } catch (error) {
-        // Silent fail
-      }
+    const result = await YOUTUBE_ADAPTER.discoverTracks(
+      { url: `https://www.youtube.com/watch?v=${videoId}` },
+      siteAdapterContext
+    );
+    if (!result) {
+      return { title: '', tracks: [], translationLanguages: [] };
     }
+    
+    youtubeSubtitleCache.set(videoId, result);
+    return result;
   }
   
-  static async tryEmbeddedPlayerExtraction(videoId, tabInfo) {
-    try {
-      // Extract from embedded player
-      const embedUrls = [
-        `https://www.youtube.com/embed/${videoId}?enablejsapi=1&origin=https://www.youtube.com`,
-        `https://www.youtube-nocookie.com/embed/${videoId}?enablejsapi=1`,
-        `https://m.youtube.com/embed/${videoId}?enablejsapi=1`
-      ];
-      
-      for (const embedUrl of embedUrls) {
-        try {
-          const response = await fetch(embedUrl, {
-            headers: {
-              'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-            }
-          });
-          
-          if (response.ok) {
-            const html = await response.text();
-            await this.extractSubtitlesFromHTML(html, videoId, tabInfo);
-          }
-        } catch (error) {
-          // Silent fail
-        }
-      }
-    } catch (error) {
-      log('Embedded player extraction failed:', error);
+  // Fetch a single discovered track as json3 and store it in the target format.
+  // translateTo asks YouTube for a machine translation through the tlang parameter.
+  static async fetchCaptionTrack(videoId, track, tabInfo = {}, targetFormat = 'vtt', translateTo = '') {
+    if (translateTo && !track.isTranslatable) {
+      log(`Caption track ${track.language} is not translatable`);
+      return false;
     }
-  }
-  
-  static async extractSubtitlesFromHTML(html, videoId, tabInfo) {
-    // Extract various subtitle references from HTML
-    const patterns = [
-      /"captionTracks":\s*(\[.+?\])/g,
-      /"baseUrl":"([^"]*timedtext[^"]*)"/g,
-      /timedtext[^"']*videoId[^"']*(?:v=|&v=|%3Dv%3D)([^"'&]*)/g,
-      /"captions":\s*(\{.+?\})/g
-    ];
     
-    for (const pattern of patterns) {
-      const matches = html.match(pattern);
-      if (matches) {
-        for (const match of matches) {
-          try {
-            if (match.includes('baseUrl')) {
-              const urlMatch = match.match(/"baseUrl":"([^"]*)"/);
-              if (urlMatch) {
-                const url = urlMatch[1].replace(/\\u0026/g, '&').replace(/\\\//, '/');
-                await this.fetchSubtitleFromBaseUrl(url, videoId, tabInfo);
-              }
-            } else if (match.includes('captionTracks')) {
-              const jsonMatch = match.match(/"captionTracks":\s*(\[.+?\])/);
-              if (jsonMatch) {
-                const tracks = JSON.parse(jsonMatch[1]);
-                for (const track of tracks) {
-                  if (track.baseUrl) {
-                    await this.fetchSubtitleFromBaseUrl(track.baseUrl, videoId, tabInfo);
-                  }
-                }
-              }
-            }
-          } catch (error) {
-            // Silent fail for parsing errors
-          }
-        }
-      }
+    const trackUrl = new URL(track.url);
+    trackUrl.searchParams.set('fmt', 'json3');
+    if (translateTo) {
+      trackUrl.searchParams.set('tlang', translateTo);
     }
-  }
-  
-  static async tryPlayerAPI(videoId, tabInfo) {
+    const url = trackUrl.href;
+    const trackInfo = translateTo ? { ...track, targetLanguage: translateTo } : track;
+    const language = translateTo || track.language;
+    
     try {
-      const embedUrl = `https://www.youtube.com/embed/${videoId}`;
-      const response = await fetch(embedUrl, {
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-        }
+      const response = await fetch(url, {
+        headers: { [EXTENSION_MARKER]: '1' },
+        credentials: 'include'
       });
       
-      if (response.ok) {
-        const html = await response.text();
-        
-        // Extract player config
-        const playerConfigMatch = html.match(/"player":\s*({.+?})/);
-        if (playerConfigMatch) {
-          const playerConfig = JSON.parse(playerConfigMatch[1]);
-          const captions = playerConfig?.args?.player_response?.captions;
-          
-          if (captions?.playerCaptionsTracklistRenderer?.captionTracks) {
-            const tracks = captions.playerCaptionsTracklistRenderer.captionTracks;
-            for (const track of tracks) {
-              if (track.baseUrl) {
-                await this.fetchSubtitleFromBaseUrl(track.baseUrl, videoId, tabInfo);
-              }
-            }
-          }
-        }
+      if (!response.ok) {
+        log(`Caption track ${track.language} returned HTTP ${response.status}`);
+        return false;
       }
-    } catch (error) {
-      log('Player API extraction failed:', error.message);
-    }
-  }
-  
-  static async tryVideoInfoAPI(videoId, tabInfo) {
-    try {
-      const videoInfoUrl = `https://www.youtube.com/get_video_info?video_id=${videoId}&el=embedded&ps=default&eurl=&gl=US&hl=en`;
-      const response = await fetch(videoInfoUrl);
       
-      if (response.ok) {
-        const data = await response.text();
-        const params = new URLSearchParams(data);
-        const playerResponse = params.get('player_response');
-        
-        if (playerResponse) {
-          const parsed = JSON.parse(playerResponse);
-          const captions = parsed?.captions?.playerCaptionsTracklistRenderer?.captionTracks;
-          
-          if (captions) {
-            for (const caption of captions) {
-              if (caption.baseUrl) {
-                await this.fetchSubtitleFromBaseUrl(caption.baseUrl, videoId, tabInfo);
-              }
-            }
-          }
-        }
+      const content = await response.text();
+      const verdict = validateSubtitleContent(content, { hint: 'json3', minCues: 1 });
+      if (!verdict.valid) {
+        await rejectSubtitleCandidate(verdict, content, {
+          url, videoId, source: 'YouTube', pageTitle: tabInfo.title, pageUrl: tabInfo.url
+        });
+        return false;
       }
+      
+      const format = normalizeFormatName(targetFormat) || 'vtt';
+      const converted = format === 'vtt' ? content : convertSubtitle(content, format, 'json3');
+      
+      return this.processYouTubeSubtitle(converted, url, videoId, language, format === 'vtt' ? 'json3' : format, tabInfo, trackInfo);
     } catch (error) {
-      log('Video info API extraction failed:', error.message);
+      log(`Caption track ${track.language} failed:`, error.message);
+      return false;
     }
   }
   
-  static async fetchSubtitleFromBaseUrl(baseUrl, videoId, tabInfo) {
-    const formats = ['vtt', 'srv3', 'ttml'];
-    
-    for (const fmt of formats) {
-      try {
-        const url = baseUrl.includes('fmt=') 
-          ? baseUrl.replace(/fmt=[^&]*/, `fmt=${fmt}`)
-          : `${baseUrl}&fmt=${fmt}`;
-          
-        const response = await fetch(url, {
-          headers: {
-            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-            'Referer': `https://www.youtube.com/watch?v=${videoId}`
-          }
+  // Validate, normalize and store one YouTube subtitle; resolves false if it was rejected
+  static async processYouTubeSubtitle(rawContent, url, videoId, language = '', requestedFormat = 'vtt', tabInfo = {}, track = {}) {
+    try {
+      // Official tracks can be a single line long, so one cue is enough here
+      const verdict = validateSubtitleContent(rawContent, { hint: requestedFormat, minCues: 1 });
+      if (!verdict.valid) {
+        await rejectSubtitleCandidate(verdict, rawContent, {
+          url, videoId, source: 'YouTube', pageTitle: tabInfo.title, pageUrl: tabInfo.url
         });
-        
-        if (response.ok) {
-          const content = await response.text();
-          if (content && this.isValidYouTubeSubtitle(content)) {
-            await this.processYouTubeSubtitle(content, url, videoId, '', fmt, tabInfo);
-          }
-        }
-      } catch (error) {
-        // Silent fail
+        return false;
       }
-    }
-  }
-  
-  static isValidYouTubeSubtitle(content) {
-    const trimmed = content.trim();
-    return trimmed.length > 50 && (
-      trimmed.includes('WEBVTT') ||
-      trimmed.includes('-->') ||
-      trimmed.includes('<transcript>') ||
-      trimmed.includes('<text') ||
-      /\d{2}:\d{2}:\d{2}/.test(trimmed) ||
-      trimmed.startsWith('<?xml') && trimmed.includes('<transcript')
-    );
-  }
-  
-  static async processYouTubeSubtitle(content, url, videoId, language = '', format = 'vtt', tabInfo = {}) {
-    try {
-      // Generate smart filename
-      const title = tabInfo.title || 'YouTube Video';
-      const cleanTitle = title.replace(/[^\w\s-]/g, '').replace(/\s+/g, '_');
-      const langSuffix = language ? `_${language}` : '';
-      const filename = `${cleanTitle}_${videoId}${langSuffix}.${format}`;
       
-      // Convert content to base64
-      const base64Content = btoa(unescape(encodeURIComponent(content)));
+      // srv1/srv2/srv3/json3 are converted to WebVTT so the file opens in players and editors
+      const { content, format, originalFormat } = normalizeTimedText(rawContent, requestedFormat);
       
-      // Store in storage
-      const { subtitles = [] } = await chrome.storage.local.get('subtitles');
+      const sourceLanguage = track.language || language;
+      const targetLanguage = track.targetLanguage || '';
       
       // Check if already exists
-      const exists = subtitles.some(sub => 
-        sub.url === url || 
-        (sub.name === filename) ||
-        (sub.videoId === videoId && sub.language === language && sub.format === format)
+      const sameVideo = await SubtitleStore.getByIndex('videoId', videoId);
+      const exists = sameVideo.some(sub => 
+        (sub.url === url && sub.format === format) || 
+        (sub.language === language && sub.format === format &&
+          (sub.kind || '') === (track.kind || '') &&
+          (sub.targetLanguage || '') === targetLanguage &&
+          (sub.sourceLanguage || sub.language) === sourceLanguage)
       );
       
       if (!exists) {
-        subtitles.push({
+        const filename = await buildCaptureFilename({
+          url,
+          videoId,
+          language,
+          ...YOUTUBE_ADAPTER.filenameHints({ url: tabInfo.url || '', title: tabInfo.title || '' }, track),
+          format,
+          source: 'YouTube',
+          pageTitle: tabInfo.title || 'YouTube Video',
+          pageUrl: tabInfo.url
+        });
+        await storeSubtitle({
           name: filename,
-          data: base64Content,
+          content: content,
           url: url,
           videoId: videoId,
           language: language,
+          sourceLanguage: sourceLanguage,
+          targetLanguage: targetLanguage,
           format: format,
+          originalFormat: originalFormat,
+          trackName: track.label || '',
+          kind: track.kind || '',
+          isTranslatable: Boolean(track.isTranslatable),
+          confidence: verdict.confidence,
           timestamp: Date.now(),
-          size: content.length,
           source: 'YouTube',
           pageTitle: tabInfo.title || '',
           pageUrl: tabInfo.url || ''
         });
-        
-        await chrome.storage.local.set({ subtitles });
-        log(`YouTube subtitle saved: ${filename}`);
-        
-        // Notify popup
-        try {
-          await chrome.runtime.sendMessage({ 
-            type: 'newSubtitle', 
-            name: filename,
-            source: 'YouTube'
-          });
-        } catch (e) {
-          // Silent fail if popup not open
-        }
       }
+      return true;
     } catch (error) {
       log('Error processing YouTube subtitle:', error);
+      return false;
     }
   }
 }
 
+// Track details reported to the popup (the URL carries signed parameters and stays here)
+function describeTrackForPopup(track) {
+  return {
+    name: track.label,
+    languageCode: track.language,
+    kind: track.kind,
+    isTranslatable: track.isTranslatable,
+    vssId: track.vssId
+  };
+}
+
+// Convert YouTube timedtext (srv1/srv2/srv3/json3) to WebVTT; other formats pass through
+function normalizeTimedText(content, hint = '') {
+  const detected = detectSubtitleFormat(content, hint) || normalizeFormatName(hint);
+  if (!isYouTubeTimedTextFormat(detected)) {
+    return { content, format: detected, originalFormat: detected };
+  }
+  
+  const { cues } = parseSubtitle(content, detected);
+  if (cues.length === 0) {
+    return { content, format: detected, originalFormat: detected };
+  }
+  
+  return { content: serializeCues(cues, 'vtt'), format: 'vtt', originalFormat: detected };
+}
+
 // Clean up old cache entries
 function cleanupCache() {
   if (headerCache.size > 1000) {
@@ -433,176 +250,261 @@ function cleanupCache() {
   }
 }
 
-// Strict subtitle URL detection - reduced false positives
-function isSubtitleUrl(url) {
-  const lowerUrl = url.toLowerCase();
+// Log a candidate the validator turned down and keep it for debugging
+async function rejectSubtitleCandidate(verdict, content, details = {}) {
+  log(`Rejected ${details.url || 'subtitle'}: ${verdict.detail} (confidence ${verdict.confidence})`);
   
-  // YouTube timedtext API detection
-  if (lowerUrl.includes('youtube.com/api/timedtext') || 
-      lowerUrl.includes('video.google.com/timedtext') ||
-      lowerUrl.includes('youtube.com/timedtext')) {
-    return true;
-  }
-  
-  // Exclude common non-subtitle file types and patterns
-  if (/\.(js|javascript|json|css|html|php|xml|map|txt|log)(\?|$)/i.test(lowerUrl)) {
-    return false;
+  try {
+    await SubtitleStore.addRejection({
+      url: details.url || '',
+      videoId: details.videoId || '',
+      source: details.source || 'Generic',
+      pageTitle: details.pageTitle || '',
+      pageUrl: details.pageUrl || '',
+      format: verdict.format || '',
+      reason: verdict.reason,
+      detail: verdict.detail,
+      confidence: verdict.confidence,
+      cueCount: verdict.cueCount,
+      size: String(content || '').length,
+      preview: String(content || '').slice(0, 300),
+      timestamp: Date.now()
+    });
+  } catch (error) {
+    log('Could not store rejected subtitle:', error.message);
   }
+}
+
+// Name a capture with the configured filename template, unique among stored entries
+async function buildCaptureFilename(info) {
+  await Settings.load();
+  const page = { url: info.pageUrl || '', title: info.pageTitle || '' };
+  const metadata = info.metadata || siteAdapterFor(page.url).metadataFor(page);
+  const name = renderFilename(Settings.get('filenameTemplate'), filenameFieldsFor({ timestamp: Date.now(), metadata, ...info }));
   
-  // Exclude ad/tracking URLs and common scripts
-  if (lowerUrl.includes('google-analytics') ||
-      lowerUrl.includes('doubleclick') ||
-      lowerUrl.includes('analytics') ||
-      lowerUrl.includes('tracking') ||
-      lowerUrl.includes('adserver') ||
-      lowerUrl.includes('webpack') ||
-      lowerUrl.includes('chunk') ||
-      lowerUrl.includes('polyfill')) {
-    return false;
+  let candidate = name;
+  for (let copy = 2; (await SubtitleStore.getByIndex('name', candidate)).length > 0; copy++) {
+    candidate = name.replace(/(\.[^.]*)?$/, ` (${copy})$1`);
   }
-  
-  // Check for actual subtitle file extensions or paths
-  return /\.(vtt|srt|ass|ssa|sbv|sub|ttml|dfxp)(\?|$)/i.test(lowerUrl) ||
-         /\/subtitles?\//i.test(lowerUrl) ||
-         /\/captions?\//i.test(lowerUrl);
+  return candidate;
 }
 
-// Enhanced content validation with file signature checking
-function isValidSubtitleContent(content, url) {
-  const lowerContent = content.toLowerCase();
-  const lowerUrl = url.toLowerCase();
+// Save a record in the subtitle store and tell an open popup about it
+async function storeSubtitle(record) {
+  const id = await SubtitleStore.add(record);
+  log(`Subtitle saved: ${record.name} (${record.source || 'Generic'})`);
+  await indexSubtitle({ ...record, id });
+  await applyRetentionLimits();
   
-  // First, check for obvious non-subtitle patterns (e.g., JavaScript, HTML, JSON)
-  if (lowerContent.includes('<!doctype') ||
-      lowerContent.includes('<html') ||
-      lowerContent.includes('function(') ||
-      lowerContent.includes('var ') ||
-      lowerContent.includes('const ') ||
-      lowerContent.includes('let ') ||
-      lowerContent.includes('=>') ||
-      lowerContent.includes('json.parse') ||
-      lowerContent.trim().startsWith('{') ||
-      lowerContent.trim().startsWith('[') ||
-      lowerContent.includes('webpack') ||
-      (lowerContent.includes('copyright') && lowerContent.includes('jw player')) ||
-      lowerContent.includes('self.webpackchunk')) {
-    return false;
+  try {
+    await chrome.runtime.sendMessage({
+      type: 'newSubtitle',
+      name: record.name,
+      source: record.source
+    });
+  } catch (e) {
+    // Silent fail if popup not open
   }
   
-  // Check for subtitle file signatures at the start of content
-  const trimmedContent = content.trim();
+  return id;
+}
+
+// Drop the oldest entries beyond the configured count and age limits
+async function applyRetentionLimits() {
+  await Settings.load();
+  const maxCount = Number(Settings.get('maxStoredSubtitles')) || 0;
+  const maxAgeDays = Number(Settings.get('maxSubtitleAgeDays')) || 0;
+  if (!maxCount && !maxAgeDays) return 0;
   
-  // VTT signature: starts with "WEBVTT"
-  if (trimmedContent.startsWith('WEBVTT')) {
-    return true;
-  }
+  const cutoff = maxAgeDays ? Date.now() - maxAgeDays * 86400000 : 0;
+  const expired = await SubtitleStore.expiredIds(maxCount, cutoff);
   
-  // ASS/SSA signature: contains "[Script Info]"
-  if (trimmedContent.includes('[Script Info]')) {
-    return true;
+  if (expired.length > 0) {
+    await SubtitleStore.delete(expired);
+    log(`Removed ${expired.length} subtitles past the retention limits`);
   }
-  
-  // SRT signature: starts with a number followed by newline (e.g., "1\n00:00:00,000 -->")
-  if (/^\d+\s*[\r\n]/.test(trimmedContent)) {
-    return true;
+  return expired.length;
+}
+
+// Add a stored record's cues to the search index
+async function indexSubtitle(record) {
+  try {
+    await SubtitleStore.putCueIndex(buildCueIndexEntry(record));
+  } catch (error) {
+    log('Cue indexing failed:', record.name, error.message);
   }
-  
-  // TTML/DFXP signature: XML-based, starts with "<?xml" or contains "<tt"
-  if (trimmedContent.startsWith('<?xml') || trimmedContent.includes('<tt')) {
-    return true;
+}
+
+// Index subtitles stored before the cue index existed
+async function indexMissingSubtitles() {
+  const indexed = new Set(await SubtitleStore.listCueIndexIds());
+  const missing = (await SubtitleStore.listIds()).filter(id => !indexed.has(id));
+  for (const id of missing) {
+    const record = await SubtitleStore.get(id);
+    if (record) await indexSubtitle(record);
   }
-  
-  // Additional subtitle patterns anywhere in content (fallback)
-  const subtitlePatterns = [
-    /WEBVTT/i,
-    /\[Script Info\]/i,
-    /\[Events\]/i,
-    /Dialogue:/i,
-    /Format:/i,
-    /\d{1,2}:\d{2}:\d{2}[,\.]\d{3}\s*-->/i,
-    /\d{1,2}:\d{2}:\d{2}\.\d{3}\s*-->\s*\d{1,2}:\d{2}:\d{2}\.\d{3}/i
-  ];
-  
-  return subtitlePatterns.some(pattern => pattern.test(content));
+  return missing.length;
 }
 
-// Generate filename from URL (fallback)
-function generateFilename(url) {
-  try {
-    const urlObj = new URL(url);
-    let filename = urlObj.pathname.split('/').pop().split('?')[0] || `subtitle_${Date.now()}`;
-    
-    // Ensure proper extension
-    if (!/\.(vtt|srt|ass|ssa|sbv|sub|ttml|dfxp)$/i.test(filename)) {
-      if (url.includes('vtt')) filename += '.vtt';
-      else if (url.includes('srt')) filename += '.srt';
-      else filename += '.vtt';
+// Cues containing the query across all stored subtitles, newest subtitle first
+async function searchSubtitles(query) {
+  const entries = await SubtitleStore.searchCueIndex(searchTerms(query));
+  const hits = [];
+
+  for (const entry of entries) {
+    const matches = findCueMatches(entry, query);
+    if (matches.length === 0) continue;
+
+    const record = await SubtitleStore.get(entry.subtitleId);
+    if (!record) continue;
+    const { content, ...meta } = record;
+    hits.push({ meta, matches });
+  }
+  hits.sort((a, b) => (b.meta.timestamp || 0) - (a.meta.timestamp || 0));
+
+  const results = [];
+  for (const { meta, matches } of hits) {
+    for (const match of matches) {
+      results.push({
+        ...match,
+        subtitleId: meta.id,
+        name: meta.name,
+        pageTitle: meta.pageTitle || '',
+        source: meta.source || '',
+        language: meta.language || '',
+        link: subtitleDeepLink(meta, match.start)
+      });
     }
-    
-    return filename;
-  } catch {
-    return `subtitle_${Date.now()}.vtt`;
   }
+
+  return {
+    results: results.slice(0, MAX_SEARCH_RESULTS),
+    total: results.length,
+    subtitleCount: hits.length
+  };
 }
 
-// NEW FUNCTION: Generate smart filename based on tab title and URL
-function generateSmartFilename(url, title, tabUrl) {
-  // Try to extract show name, season, episode from title or tabUrl
-  let showName = '';
-  let season = '';
-  let episode = '';
-
-  // Common patterns in title: "Show Name S01E01 - Episode Title" or "Show Name Season 1 Episode 2"
-  const seasonEpisodeRegex = /s(\d+)e(\d+)/i; // S01E01
-  const seasonEpisodeRegex2 = /season\s*(\d+)\s*episode\s*(\d+)/i; // Season 1 Episode 2
-  const seasonEpisodeRegex3 = /(\d+)x(\d+)/i; // 1x02
-
-  let match = title.match(seasonEpisodeRegex) || title.match(seasonEpisodeRegex2) || title.match(seasonEpisodeRegex3);
-  if (!match && tabUrl) {
-    match = tabUrl.match(seasonEpisodeRegex) || tabUrl.match(seasonEpisodeRegex2) || tabUrl.match(seasonEpisodeRegex3);
+// Load a stored record (with content) by id
+async function loadSubtitle(id) {
+  const file = await SubtitleStore.get(id);
+  if (!file) {
+    throw new Error('Subtitle not found');
   }
+  return file;
+}
 
-  if (match) {
-    season = match[1];
-    episode = match[2];
+// Text, filename and MIME type of a stored entry, converted if a target format is given.
+// Text is always exported as UTF-8; originals keep their byte order mark unless told otherwise.
+function exportSubtitleText(file, targetFormat, options = {}) {
+  const format = normalizeFormatName(targetFormat);
+  if (!format || format === 'original') {
+    return {
+      text: file.content,
+      filename: file.name,
+      mimeType: 'text/plain',
+      bom: options.bom ?? Boolean(file.hadBom)
+    };
   }
 
-  // Extract show name: from title or URL
-  if (title) {
-    // Remove season/episode info and trim
-    showName = title.replace(seasonEpisodeRegex, '').replace(seasonEpisodeRegex2, '').replace(seasonEpisodeRegex3, '').trim();
-    // Remove any special characters and multiple spaces
-    showName = showName.replace(/[^\w\s]/g, ' ').replace(/\s+/g, ' ').trim();
-    // If showName is too long or empty, use fallback
-    if (showName.length === 0) {
-      showName = 'Unknown';
-    }
-  } else {
-    showName = 'Unknown';
+  const exportFormat = SUBTITLE_FORMATS[format];
+  if (!exportFormat) {
+    throw new Error(`Unsupported export format: ${targetFormat}`);
   }
 
-  // If we have season and episode, format them
-  let filename = showName;
-  if (season && episode) {
-    filename += `_S${season.padStart(2, '0')}E${episode.padStart(2, '0')}`;
-  } else {
-    // If no season/episode, use a timestamp to avoid overwrites
-    filename += `_${Date.now()}`;
+  const text = convertSubtitle(file.content, format, file.format || file.name.split('.').pop(), {
+    language: file.language,
+    title: file.pageTitle
+  });
+
+  return {
+    text,
+    filename: replaceExtension(file.name, exportFormat.extension),
+    mimeType: exportFormat.mimeType,
+    bom: Boolean(options.bom ?? Settings.get('exportBom'))
+  };
+}
+
+// Build the data URL and filename for a stored entry
+function buildSubtitleDownload(file, targetFormat, options = {}) {
+  const exported = exportSubtitleText(file, targetFormat, options);
+  return {
+    url: utf8DataUrl(exported.text, exported.mimeType, exported.bom),
+    filename: exported.filename
+  };
+}
+
+// One ZIP of several stored entries, foldered by source/show/season with a manifest.json
+async function buildBundleDownload(files, targetFormat, options = {}) {
+  const exported = [];
+  const errors = [];
+
+  for (const file of files) {
+    try {
+      const { text, filename, bom } = exportSubtitleText(file, targetFormat, options);
+      exported.push({ record: file, filename, text: bom ? `\uFEFF${text}` : text });
+    } catch (error) {
+      errors.push(`${file.name}: ${error.message}`);
+    }
+  }
+  if (exported.length === 0) {
+    throw new Error(errors[0] || 'Nothing to bundle');
   }
 
-  // Get the extension from the subtitle URL
-  const urlExt = url.split('.').pop().split('?')[0];
-  const validExts = ['vtt', 'srt', 'ass', 'ssa', 'sbv', 'sub', 'ttml', 'dfxp'];
-  if (urlExt && validExts.includes(urlExt.toLowerCase())) {
-    filename += `.${urlExt}`;
-  } else {
-    filename += '.vtt'; // default
+  const zip = await buildSubtitleBundle(exported);
+  const date = new Date().toISOString().slice(0, 10);
+  return {
+    url: `data:application/zip;base64,${bytesToBase64(zip)}`,
+    filename: `subtitles-${date}.zip`,
+    count: exported.length,
+    errors
+  };
+}
+
+// Entries can be merged when they belong to the same YouTube video or page
+function isSameVideo(a, b) {
+  return Boolean((a.videoId && a.videoId === b.videoId) || (a.pageUrl && a.pageUrl === b.pageUrl));
+}
+
+// Merge two stored entries into one bilingual file and build its download
+function buildMergedDownload(primaryFile, secondaryFile, mode, targetFormat, options = {}) {
+  if (!isSameVideo(primaryFile, secondaryFile)) {
+    throw new Error('Both subtitles must come from the same video or page');
   }
+  
+  const merged = mergeBilingualSubtitles(primaryFile.content, secondaryFile.content, {
+    mode,
+    format: targetFormat,
+    primaryFormat: primaryFile.format || primaryFile.name.split('.').pop(),
+    secondaryFormat: secondaryFile.format || secondaryFile.name.split('.').pop(),
+    title: primaryFile.pageTitle
+  });
+  
+  const secondaryLabel = secondaryFile.language || 'secondary';
+  const baseName = primaryFile.name.replace(/\.[a-z0-9]{1,5}$/i, '');
+  
+  return {
+    url: utf8DataUrl(merged.content, 'text/plain', Boolean(options.bom)),
+    filename: `${baseName}+${secondaryLabel}.${merged.extension}`
+  };
+}
 
-  // Ensure filename is safe for filesystem: replace invalid characters
-  filename = filename.replace(/[\/\\?%*:|"<>]/g, '-');
+// Transcript of a stored entry (no timing, merged text) and its download
+function buildTranscriptDownload(file, options = {}) {
+  const transcript = buildTranscript(file.content, {
+    format: options.format,
+    layout: options.layout,
+    markerInterval: options.markerInterval,
+    sourceFormat: file.format || file.name.split('.').pop(),
+    title: file.pageTitle || file.name,
+    url: file.pageUrl || '',
+    // Markers link into the video where the page supports a start time
+    linkAt: file.videoId ? (ms) => subtitleDeepLink(file, ms) : null
+  });
 
-  return filename;
+  return {
+    url: utf8DataUrl(transcript.content, transcript.mimeType, Boolean(options.bom)),
+    filename: replaceExtension(file.name, `transcript.${transcript.extension}`)
+  };
 }
 
 // Enhanced fetch with multiple strategies
@@ -689,56 +591,74 @@ async function fetchAndCacheSubtitle(url, tabInfo = {}, retryCount = 0) {
       throw new Error('Empty response');
     }
     
-    // Convert first 1000 bytes to text for validation
-    const uint8Array = new Uint8Array(buffer);
-    const firstChunk = new TextDecoder().decode(uint8Array.slice(0, Math.min(1000, uint8Array.length)));
+    // A complete fragmented MP4 file carries its cues as wvtt/stpp samples
+    let decoded;
+    if (isIsoBmff(new Uint8Array(buffer, 0, Math.min(buffer.byteLength, 8)))) {
+      const track = parseMp4TextTrack([buffer]);
+      if (!track) {
+        // Lone media segments have no init data; they are read through their playlist or manifest
+        log(`Skipping MP4 data without a text track: ${url}`);
+        return;
+      }
+      decoded = { text: serializeCues(track.cues, track.format), encoding: 'utf-8', encodingSource: 'mp4', hadBom: false };
+    } else {
+      // Legacy charsets (Shift_JIS, GBK, Windows-1252, UTF-16) are decoded here and stored as plain text
+      decoded = decodeSubtitleBytes(buffer, response.headers.get('content-type'));
+    }
+    if (decoded.encoding !== 'utf-8') {
+      log(`Decoded ${url} as ${decoded.encoding} (${decoded.encodingSource})`);
+    }
     
-    // Strict content validation
-    if (!isValidSubtitleContent(firstChunk, url)) {
-      log(`Content validation failed for: ${url}`);
-      log('Content preview:', firstChunk.substring(0, 200));
+    // Lone HLS segments are stored as part of their stitched playlist instead
+    if (/^X-TIMESTAMP-MAP=/m.test(decoded.text.slice(0, 500))) {
+      log(`Skipping HLS subtitle segment: ${url}`);
       return;
     }
     
-    // Convert entire buffer to base64 for storage
-    const textContent = new TextDecoder().decode(uint8Array);
-    const base64 = btoa(textContent);
-    
-    // Generate filename: use smart naming if tabInfo is available, else fallback
-    let filename;
-    if (tabInfo && (tabInfo.title || tabInfo.url)) {
-      filename = generateSmartFilename(url, tabInfo.title || '', tabInfo.url || '');
-    } else {
-      filename = generateFilename(url);
+    // The whole file has to parse into enough well-formed, time-ordered cues
+    const verdict = validateSubtitleContent(decoded.text, { hint: url.split(/[?#]/)[0].split('.').pop() });
+    if (!verdict.valid) {
+      await rejectSubtitleCandidate(verdict, decoded.text, {
+        url, source: 'Generic', pageTitle: tabInfo.title, pageUrl: tabInfo.url
+      });
+      return;
     }
     
-    // Store in chrome storage
-    const { subtitles = [] } = await chrome.storage.local.get('subtitles');
+    // YouTube timedtext (srv1/srv2/srv3/json3) is stored as WebVTT
+    const { content: textContent, format } = normalizeTimedText(decoded.text, verdict.format);
     
-    const exists = subtitles.some(sub => sub.name === filename || sub.url === url);
-    if (!exists) {
-      subtitles.push({
+    // Store in the subtitle database
+    const sameUrl = await SubtitleStore.getByIndex('url', url);
+    if (sameUrl.length === 0) {
+      const filename = await buildCaptureFilename({
+        url,
+        format,
+        source: 'Generic',
+        pageTitle: tabInfo.title,
+        pageUrl: tabInfo.url
+      });
+      await storeSubtitle({
         name: filename,
-        data: base64,
+        content: textContent,
         url: url,
+        format: format || '',
+        encoding: decoded.encoding,
+        encodingSource: decoded.encodingSource,
+        hadBom: decoded.hadBom,
+        confidence: verdict.confidence,
         timestamp: Date.now(),
-        size: buffer.byteLength
+        source: 'Generic',
+        pageTitle: tabInfo.title || '',
+        pageUrl: tabInfo.url || ''
       });
-      
-      await chrome.storage.local.set({ subtitles });
-      log(`Successfully cached: ${filename} (${buffer.byteLength} bytes)`);
-      
-      try {
-        await chrome.runtime.sendMessage({ type: 'newSubtitle', name: filename });
-      } catch (msgError) {
-        log('Could not notify popup:', msgError.message);
-      }
     }
     
   } catch (error) {
     log(`Failed to fetch ${url}:`, error.message);
     
-    if (retryCount < MAX_RETRIES && !error.message.includes('no-cors')) {
+    // Neither a no-cors response nor an encrypted track reads any better the next time
+    const permanent = error.message.includes('no-cors') || error.code === 'encrypted-track';
+    if (retryCount < Settings.get('maxRetries') && !permanent) {
       log(`Retrying ${url} (attempt ${retryCount + 1})`);
       setTimeout(() => {
         fetchAndCacheSubtitle(url, tabInfo, retryCount + 1);
@@ -749,6 +669,554 @@ async function fetchAndCacheSubtitle(url, tabInfo = {}, retryCount = 0) {
   }
 }
 
+// Cues read from an HTML5 TextTrack by universal-content.js. A track filled during
+// playback is sent again as it grows; the stored copy is replaced when it has more cues.
+async function storeTextTrack(track, key, tabInfo = {}) {
+  const verdict = validateSubtitleContent(track.content, { hint: 'vtt' });
+  if (!verdict.valid) {
+    // A track that is still loading has few cues; it comes back once it has more
+    if (verdict.reason === 'too-few-cues') {
+      log(`Text track not ready yet: ${key} (${verdict.detail})`);
+    } else {
+      await rejectSubtitleCandidate(verdict, track.content, {
+        url: key, source: 'TextTrack', pageTitle: tabInfo.title, pageUrl: tabInfo.url
+      });
+    }
+    return;
+  }
+  
+  const [existing] = await SubtitleStore.getByIndex('url', key);
+  if (existing) {
+    // Network captures of the same file win; text tracks only replace themselves
+    if (existing.source !== 'TextTrack' || track.cueCount <= (existing.cueCount || 0)) return;
+    
+    const updated = { ...existing, content: track.content, cueCount: track.cueCount, confidence: verdict.confidence };
+    await SubtitleStore.put(updated);
+    await indexSubtitle(updated);
+    log(`Text track updated: ${existing.name} (${track.cueCount} cues)`);
+    return;
+  }
+  
+  const filename = await buildCaptureFilename({
+    url: track.trackUrl || tabInfo.url,
+    language: track.language,
+    kind: track.kind === 'captions' ? 'sdh' : '',
+    format: 'vtt',
+    source: 'TextTrack',
+    pageTitle: tabInfo.title,
+    pageUrl: tabInfo.url
+  });
+  
+  await storeSubtitle({
+    name: filename,
+    content: track.content,
+    url: key,
+    format: 'vtt',
+    language: track.language || '',
+    trackName: track.label || '',
+    cueCount: track.cueCount,
+    confidence: verdict.confidence,
+    timestamp: Date.now(),
+    source: 'TextTrack',
+    pageTitle: tabInfo.title || '',
+    pageUrl: tabInfo.url || ''
+  });
+}
+
+// Cues recorded from a caption overlay by caption-recorder.js, saved as SRT or WebVTT
+async function storeRecordedCues(message, tabInfo = {}) {
+  const format = message.format === 'srt' ? 'srt' : 'vtt';
+  const cues = (message.cues || []).filter(cue => cue.text && cue.end > cue.start);
+  if (cues.length === 0) {
+    throw new Error('No captions were recorded');
+  }
+  
+  const filename = await buildCaptureFilename({
+    url: tabInfo.url,
+    format,
+    source: 'Recorded',
+    pageTitle: tabInfo.title,
+    pageUrl: tabInfo.url
+  });
+  
+  const id = await storeSubtitle({
+    name: filename,
+    content: serializeCues(cues, format),
+    url: tabInfo.url || '',
+    format,
+    cueCount: cues.length,
+    timestamp: Date.now(),
+    source: 'Recorded',
+    pageTitle: tabInfo.title || '',
+    pageUrl: tabInfo.url || ''
+  });
+  return { id, name: filename, cueCount: cues.length };
+}
+
+// Fetch a playlist, manifest or segment with the headers the page used
+async function fetchStreamBytes(url) {
+  const response = await fetchWithStrategies(url, headerCache.get(url) || []);
+  if (response.type === 'opaque') {
+    throw new Error('Opaque response');
+  }
+  return { buffer: await response.arrayBuffer(), contentType: response.headers.get('content-type') };
+}
+
+async function fetchStreamBuffer(url) {
+  return (await fetchStreamBytes(url)).buffer;
+}
+
+async function fetchStreamText(url) {
+  const { buffer, contentType } = await fetchStreamBytes(url);
+  return decodeSubtitleBytes(buffer, contentType).text;
+}
+
+// Handle an .m3u8 seen on the network: a master playlist's SUBTITLES renditions,
+// or a WebVTT media playlist the player loaded on its own
+async function processHlsPlaylist(url, tabInfo = {}) {
+  const urlKey = url.split('?')[0];
+  if (processedUrls.has(urlKey)) return;
+  
+  try {
+    const text = await fetchStreamText(url);
+    
+    if (isHlsMediaPlaylist(text)) {
+      const playlist = parseHlsMediaPlaylist(text, url);
+      if (!hlsRenditions.has(urlKey) && !playlist.segments.some(segment => isWebVttSegmentUri(segment.uri))) {
+        // Audio/video playlist; live ones reload constantly, so only look once
+        processedUrls.add(urlKey);
+        return;
+      }
+      
+      await new Promise(resolve => setTimeout(resolve, HLS_RENDITION_CLAIM_DELAY));
+      await fetchHlsSubtitleRendition(hlsRenditions.get(urlKey) || { uri: url }, tabInfo, playlist);
+      return;
+    }
+    
+    processedUrls.add(urlKey);
+    const { subtitles } = parseHlsMasterPlaylist(text, url);
+    subtitles.forEach(rendition => hlsRenditions.set(rendition.uri.split('?')[0], rendition));
+    
+    for (const rendition of subtitles) {
+      await fetchHlsSubtitleRendition(rendition, tabInfo);
+    }
+  } catch (error) {
+    log('Error parsing M3U8:', error.message);
+  }
+}
+
+// Download every segment of a subtitle rendition and store them as one WebVTT file
+async function fetchHlsSubtitleRendition(rendition, tabInfo = {}, playlist = null) {
+  const urlKey = rendition.uri.split('?')[0];
+  if (processedUrls.has(urlKey) || failedUrls.has(urlKey)) return;
+  processedUrls.add(urlKey);
+  
+  try {
+    if (!playlist) {
+      const text = await fetchStreamText(rendition.uri);
+      if (!isHlsMediaPlaylist(text)) {
+        // Some streams point the rendition straight at a single subtitle file
+        processedUrls.delete(urlKey);
+        await fetchAndCacheSubtitle(rendition.uri, tabInfo);
+        return;
+      }
+      playlist = parseHlsMediaPlaylist(text, rendition.uri);
+    }
+    
+    // Claim the segments first so the player's own requests for them are not stored separately
+    const { segments } = playlist;
+    segments.forEach(segment => processedUrls.add(segment.uri.split('?')[0]));
+    log(`Fetching ${segments.length} HLS subtitle segments for ${rendition.language || rendition.uri}`);
+    
+    // fMP4 renditions (EXT-X-MAP init segment) carry wvtt or stpp samples instead of text
+    const isMp4 = Boolean(playlist.initialization);
+    const fetchSegment = isMp4 ? fetchStreamBuffer : fetchStreamText;
+    const segmentData = isMp4 ? [await fetchStreamBuffer(playlist.initialization)] : [];
+    for (let i = 0; i < segments.length; i += SEGMENT_BATCH_SIZE) {
+      const batch = segments.slice(i, i + SEGMENT_BATCH_SIZE);
+      segmentData.push(...await Promise.all(batch.map(segment => fetchSegment(segment.uri))));
+    }
+    
+    let format = 'vtt';
+    let cues;
+    if (isMp4) {
+      const track = parseMp4TextTrack(segmentData);
+      if (!track) {
+        throw new Error('No text track in fMP4 segments');
+      }
+      ({ format, cues } = track);
+    } else {
+      cues = stitchWebVttSegments(segmentData);
+    }
+    
+    const content = serializeCues(cues, format, { language: rendition.language });
+    const verdict = validateSubtitleContent(content, { hint: format, minCues: 1 });
+    if (!verdict.valid) {
+      await rejectSubtitleCandidate(verdict, content, {
+        url: rendition.uri, source: 'HLS', pageTitle: tabInfo.title, pageUrl: tabInfo.url
+      });
+      return;
+    }
+    
+    const describesSounds = (rendition.characteristics || []).includes('public.accessibility.describes-music-and-sound');
+    const filename = await buildCaptureFilename({
+      url: rendition.uri,
+      language: rendition.language,
+      kind: rendition.forced ? 'forced' : (describesSounds ? 'sdh' : ''),
+      format,
+      source: 'HLS',
+      pageTitle: tabInfo.title,
+      pageUrl: tabInfo.url
+    });
+    
+    await storeSubtitle({
+      name: filename,
+      content,
+      url: rendition.uri,
+      format,
+      language: rendition.language || '',
+      trackName: rendition.name || '',
+      forced: Boolean(rendition.forced),
+      characteristics: rendition.characteristics || [],
+      groupId: rendition.groupId || '',
+      segmentCount: segments.length,
+      confidence: verdict.confidence,
+      timestamp: Date.now(),
+      source: 'HLS',
+      pageTitle: tabInfo.title || '',
+      pageUrl: tabInfo.url || ''
+    });
+  } catch (error) {
+    log(`Failed to fetch HLS rendition ${rendition.uri}:`, error.message);
+    failedUrls.add(urlKey);
+  }
+}
+
+// Handle an .mpd seen on the network: every unencrypted text AdaptationSet becomes one file per language
+async function processDashManifest(url, tabInfo = {}) {
+  const urlKey = url.split('?')[0];
+  if (processedUrls.has(urlKey)) return;
+  // Live manifests reload constantly, so each one is only read once
+  processedUrls.add(urlKey);
+  
+  try {
+    const { tracks } = parseDashManifest(await fetchStreamText(url), url);
+    for (const group of groupDashTracks(tracks)) {
+      await fetchDashTextTrack(group, url, tabInfo);
+    }
+  } catch (error) {
+    log('Error parsing MPD:', error.message);
+  }
+}
+
+// Download a grouped DASH text track (all Periods) and store it as one file
+async function fetchDashTextTrack(group, manifestUrl, tabInfo = {}) {
+  try {
+    // Claim the segments first so the player's own requests for them are not stored separately
+    const segmentUrls = group.parts.flatMap(part => part.segments);
+    segmentUrls.forEach(segmentUrl => processedUrls.add(segmentUrl.split('?')[0]));
+    log(`Fetching ${segmentUrls.length} DASH text segments for ${group.language || 'und'}`);
+    
+    const parts = [];
+    for (const track of group.parts) {
+      const isMp4 = track.container === 'mp4';
+      const fetchSegment = isMp4 ? fetchStreamBuffer : fetchStreamText;
+      const data = isMp4 && track.initialization ? [await fetchStreamBuffer(track.initialization)] : [];
+      for (let i = 0; i < track.segments.length; i += SEGMENT_BATCH_SIZE) {
+        const batch = track.segments.slice(i, i + SEGMENT_BATCH_SIZE);
+        data.push(...await Promise.all(batch.map(fetchSegment)));
+      }
+      parts.push({ track, data });
+    }
+    
+    // A single sidecar text file is kept byte for byte; everything else is rebuilt from cues
+    const single = parts.length === 1 && parts[0].track.sidecar &&
+      parts[0].track.container === 'text' && parts[0].track.offset === 0;
+    const format = group.format === 'ttml' ? 'ttml' : 'vtt';
+    const content = single
+      ? parts[0].data[0]
+      : serializeCues(assembleDashCues(parts), format, { language: group.language });
+    
+    const verdict = validateSubtitleContent(content, { hint: format, minCues: 1 });
+    if (!verdict.valid) {
+      await rejectSubtitleCandidate(verdict, content, {
+        url: manifestUrl, source: 'DASH', pageTitle: tabInfo.title, pageUrl: tabInfo.url
+      });
+      return;
+    }
+    
+    const filename = await buildCaptureFilename({
+      url: manifestUrl,
+      language: group.language,
+      kind: group.roles.includes('forced-subtitle') ? 'forced' : (group.roles.includes('caption') ? 'sdh' : ''),
+      format,
+      source: 'DASH',
+      pageTitle: tabInfo.title,
+      pageUrl: tabInfo.url
+    });
+    
+    await storeSubtitle({
+      name: filename,
+      content,
+      url: manifestUrl,
+      format,
+      language: group.language || '',
+      trackName: group.label || '',
+      roles: group.roles,
+      forced: group.roles.includes('forced-subtitle'),
+      segmentCount: segmentUrls.length,
+      periodCount: parts.length,
+      confidence: verdict.confidence,
+      timestamp: Date.now(),
+      source: 'DASH',
+      pageTitle: tabInfo.title || '',
+      pageUrl: tabInfo.url || ''
+    });
+  } catch (error) {
+    log(`Failed to fetch DASH text track ${group.key}:`, error.message);
+  }
+}
+
+// Fetch the tracks a site adapter lists for a page: the preferred languages,
+// or every track, auto-generated ones included, when none of them is offered.
+// requestUrl is the request that started the capture, if one did.
+async function captureAdapterTracks(adapter, tabInfo = {}, requestUrl = '') {
+  const page = { url: tabInfo.url || '', title: tabInfo.title || '', requestUrl };
+  const result = await adapter.discoverTracks(page, siteAdapterContext);
+  const tracks = result?.tracks || [];
+  if (tracks.length === 0) {
+    log(`No caption tracks listed by ${adapter.label} for ${page.url}`);
+    return [];
+  }
+  
+  await Settings.load();
+  const preferred = tracks.filter(track => isPreferredLanguage(track.language));
+  for (const track of preferred.length ? preferred : tracks) {
+    await fetchAdapterTrack(adapter, track, { ...page, videoTitle: result.title || '' });
+  }
+  return tracks;
+}
+
+// A video page's tracks are captured once; the video is only marked done when
+// tracks were found, so a failed or empty listing is tried again on the next load
+async function captureAdapterVideo(capture) {
+  const adapter = siteAdapterById(capture.adapter);
+  const videoKey = capture.videoId ? `${capture.adapter}:${capture.videoId}` : '';
+  if (videoKey && processedAdapterVideos.has(videoKey)) return;
+  if (videoKey) processedAdapterVideos.add(videoKey);
+  
+  let tracks = [];
+  try {
+    tracks = await captureAdapterTracks(adapter, capture.tabInfo, capture.requestUrl);
+  } finally {
+    if (tracks.length === 0) processedAdapterVideos.delete(videoKey);
+  }
+}
+
+async function fetchAdapterTrack(adapter, track, page) {
+  const urlKey = track.url.split('?')[0];
+  if (processedUrls.has(urlKey)) return;
+  processedUrls.add(urlKey);
+  
+  const videoId = adapter.videoIdFor(page.requestUrl) || adapter.videoIdFor(page.url);
+  try {
+    const rawContent = await fetchStreamText(track.url);
+    const verdict = validateSubtitleContent(rawContent, { hint: track.format, minCues: 1 });
+    if (!verdict.valid) {
+      await rejectSubtitleCandidate(verdict, rawContent, {
+        url: track.url, videoId, source: adapter.label, pageTitle: page.title, pageUrl: page.url
+      });
+      return;
+    }
+    
+    const { content, format, originalFormat } = normalizeTimedText(rawContent, track.format);
+    const sameVideo = videoId ? await SubtitleStore.getByIndex('videoId', videoId) : [];
+    if (sameVideo.some(sub => sub.url === track.url && sub.format === format)) return;
+    
+    const filename = await buildCaptureFilename({
+      url: track.url,
+      videoId,
+      language: track.language,
+      format,
+      source: adapter.label,
+      pageTitle: page.title,
+      pageUrl: page.url,
+      metadata: adapter.metadataFor(page),
+      ...adapter.filenameHints(page, track)
+    });
+    await storeSubtitle({
+      name: filename,
+      content,
+      url: track.url,
+      videoId,
+      language: track.language || '',
+      format,
+      originalFormat,
+      trackName: track.label || '',
+      kind: track.kind || '',
+      confidence: verdict.confidence,
+      timestamp: Date.now(),
+      source: adapter.label,
+      pageTitle: page.title || '',
+      pageUrl: page.url || ''
+    });
+  } catch (error) {
+    processedUrls.delete(urlKey);
+    log(`Failed to fetch ${adapter.label} track ${track.url}:`, error.message);
+  }
+}
+
+// { url, title } of the tab a request belongs to; empty for background requests
+async function getTabInfo(tabId) {
+  const tabInfo = { url: '', title: '' };
+  if (tabId === undefined || tabId === -1) return tabInfo;
+  
+  try {
+    const tab = await chrome.tabs.get(tabId);
+    tabInfo.url = tab.url || '';
+    tabInfo.title = tab.title || '';
+  } catch (error) {
+    log('Error getting tab info:', error);
+  }
+  return tabInfo;
+}
+
+// What a request would be captured as: 'subtitle', 'hls', 'dash', 'tracks' or null
+function captureKindFor(details) {
+  return classifySiteRequest(details)?.kind || null;
+}
+
+async function runCapture(capture) {
+  switch (capture.kind) {
+    case 'subtitle':
+      log(`Detected potential subtitle URL: ${capture.url}`);
+      await fetchAndCacheSubtitle(capture.url, capture.tabInfo);
+      break;
+    case 'hls':
+      await processHlsPlaylist(capture.url, capture.tabInfo);
+      break;
+    case 'dash':
+      await processDashManifest(capture.url, capture.tabInfo);
+      break;
+    case 'youtube':
+      await YouTubeSubtitleExtractor.extractSubtitlesFromVideoId(capture.videoId, capture.tabInfo);
+      break;
+    case 'texttrack':
+      await storeTextTrack(capture.track, capture.url, capture.tabInfo);
+      break;
+    case 'tracks':
+      await captureAdapterVideo(capture);
+      break;
+  }
+}
+
+// Restore the queue a previous run of the worker left behind, once per run,
+// and bring every tab's badge in line with it
+function loadPendingCaptures() {
+  if (!pendingCapturesLoaded) {
+    pendingCapturesLoaded = chrome.storage.session.get(PENDING_STORAGE_KEY)
+      .then(stored => {
+        Object.entries(stored[PENDING_STORAGE_KEY] || {}).forEach(([hostname, { items, tabIds }]) => {
+          pendingCaptures.set(hostname, { items: new Map(Object.entries(items)), tabIds: new Set(tabIds) });
+        });
+        return chrome.tabs.query({});
+      })
+      .then(tabs => tabs.forEach(tab => {
+        const pending = [...pendingCaptures.values()].find(site => site.tabIds.has(tab.id));
+        chrome.action.setBadgeText({ tabId: tab.id, text: pending?.items.size ? String(pending.items.size) : '' }).catch(() => {});
+        if (pending?.items.size) chrome.action.setBadgeBackgroundColor({ tabId: tab.id, color: '#ff9e00' }).catch(() => {});
+      }))
+      .catch(error => log('Could not restore pending captures:', error.message));
+  }
+  return pendingCapturesLoaded;
+}
+
+async function savePendingCaptures() {
+  const stored = {};
+  pendingCaptures.forEach(({ items, tabIds }, hostname) => {
+    stored[hostname] = { items: Object.fromEntries(items), tabIds: [...tabIds] };
+  });
+  try {
+    await chrome.storage.session.set({ [PENDING_STORAGE_KEY]: stored });
+  } catch (error) {
+    log('Could not save pending captures:', error.message);
+  }
+}
+
+function updatePendingBadge(hostname) {
+  const pending = pendingCaptures.get(hostname);
+  const text = pending?.items.size ? String(pending.items.size) : '';
+  const tabIds = pending ? pending.tabIds : [];
+  
+  tabIds.forEach(tabId => {
+    chrome.action.setBadgeText({ tabId, text }).catch(() => {});
+    if (text) chrome.action.setBadgeBackgroundColor({ tabId, color: '#ff9e00' }).catch(() => {});
+  });
+}
+
+// Hold a capture until the user decides for its site
+async function queuePendingCapture(capture, tabId, pageUrl) {
+  const hostname = siteHostname(pageUrl);
+  if (!hostname) return;
+  
+  await loadPendingCaptures();
+  if (!pendingCaptures.has(hostname)) {
+    pendingCaptures.set(hostname, { items: new Map(), tabIds: new Set() });
+  }
+  const pending = pendingCaptures.get(hostname);
+  // A capture seen again replaces the waiting one (text tracks grow while the video plays)
+  if (!pending.items.has(capture.url) && pending.items.size >= MAX_PENDING_PER_SITE) return;
+  
+  pending.items.set(capture.url, capture);
+  if (tabId !== undefined && tabId !== -1) pending.tabIds.add(tabId);
+  log(`Waiting for permission to capture on ${hostname}: ${capture.url}`);
+  updatePendingBadge(hostname);
+  await savePendingCaptures();
+}
+
+async function dismissPendingCaptures(hostname) {
+  await loadPendingCaptures();
+  const pending = pendingCaptures.get(hostname);
+  if (!pending) return;
+  
+  pending.items.clear();
+  updatePendingBadge(hostname);
+  pendingCaptures.delete(hostname);
+  await savePendingCaptures();
+}
+
+async function capturePending(hostname) {
+  await loadPendingCaptures();
+  const pending = pendingCaptures.get(hostname);
+  if (!pending) return 0;
+  
+  const captures = [...pending.items.values()];
+  await dismissPendingCaptures(hostname);
+  
+  for (const capture of captures) {
+    try {
+      await runCapture(capture);
+    } catch (error) {
+      log(`Pending capture failed for ${capture.url}:`, error.message);
+    }
+  }
+  return captures.length;
+}
+
+// Policy for a page plus the listed domain deciding it, for the popup
+async function describeSitePolicy(pageUrl) {
+  await loadPendingCaptures();
+  const hostname = siteHostname(pageUrl);
+  const domain = matchingSiteDomain(pageUrl);
+  return {
+    hostname,
+    domain: domain || normalizeSiteDomain(hostname),
+    policy: sitePolicyFor(pageUrl),
+    listedPolicy: domain ? Settings.get('sitePolicies')[domain] : null,
+    pending: pendingCaptures.get(hostname)?.items.size || 0
+  };
+}
+
 // Capture request headers
 chrome.webRequest.onBeforeSendHeaders.addListener(
   (details) => {
@@ -757,9 +1225,17 @@ chrome.webRequest.onBeforeSendHeaders.addListener(
       return;
     }
     
-    // Store headers for potential subtitle requests
-    if (isSubtitleUrl(details.url) || details.url.includes('m3u8')) {
-      headerCache.set(details.url, details.requestHeaders || []);
+    // Store headers for potential subtitle requests, unless the site is off limits
+    if (captureKindFor(details) || details.url.includes('m3u8')) {
+      const requestHeaders = details.requestHeaders || [];
+      Settings.load()
+        .then(() => getTabInfo(details.tabId))
+        .then(tabInfo => {
+          if (sitePolicyFor(tabInfo.url || details.initiator || '') !== 'never') {
+            headerCache.set(details.url, requestHeaders);
+          }
+        })
+        .catch(error => log('Header capture failed:', error));
     }
     
     // Periodic cleanup
@@ -780,85 +1256,27 @@ chrome.webRequest.onCompleted.addListener(
       return;
     }
 
-    const url = details.url;
+    const match = classifySiteRequest(details);
+    if (!match) return;
     
-    // NEW: Get tab information if available
-    let tabInfo = { url: '', title: '' };
-    if (details.tabId && details.tabId !== -1) {
-      try {
-        const tab = await chrome.tabs.get(details.tabId);
-        tabInfo.url = tab.url || '';
-        tabInfo.title = tab.title || '';
-      } catch (error) {
-        log('Error getting tab info:', error);
-      }
-    }
-    
-    // Direct subtitle detection
-    if (isSubtitleUrl(url)) {
-      log(`Detected potential subtitle URL: ${url}`);
-      await fetchAndCacheSubtitle(url, tabInfo);  // Pass tabInfo
-      return;
+    await Settings.load();
+    const tabInfo = await getTabInfo(details.tabId);
+    const pageUrl = tabInfo.url || details.initiator || '';
+    const capture = { kind: match.kind, url: details.url, tabInfo };
+    if (match.kind === 'tracks') {
+      // Player config requests: the adapter lists the tracks from the response
+      Object.assign(capture, { adapter: match.adapter.id, requestUrl: details.url });
     }
     
-    // Check response headers for subtitle content
-    if (details.responseHeaders) {
-      const contentType = details.responseHeaders.find(h => 
-        h.name.toLowerCase() === 'content-type'
-      )?.value?.toLowerCase();
-      
-      if (contentType && (
-        contentType.includes('text/vtt') ||
-        contentType.includes('text/srt') ||
-        contentType.includes('application/ttml') ||
-        (contentType.includes('text/plain') && isSubtitleUrl(url))
-      ) && !contentType.includes('javascript') && !contentType.includes('application/javascript')) {
-        await fetchAndCacheSubtitle(url, tabInfo);
+    // The site policy decides before anything is fetched
+    switch (sitePolicyFor(pageUrl)) {
+      case 'never':
         return;
-      }
-    }
-    
-    // Parse M3U8 playlists
-    if (/\.m3u8(\?|$)/i.test(url)) {
-      try {
-        const headers = headerCache.get(url) || [];
-        const headersObj = {};
-        headers.forEach(h => {
-          if (h.name && h.value) headersObj[h.name] = h.value;
-        });
-        headersObj[EXTENSION_MARKER] = '1';
-        
-        const response = await fetch(url, {
-          headers: headersObj,
-          credentials: 'include'
-        });
-        
-        if (!response.ok) return;
-        
-        const text = await response.text();
-        
-        // Look for subtitle references
-        const lines = text.split('\n');
-        for (const line of lines) {
-          const trimmed = line.trim();
-          if (trimmed.includes('SUBTITLES') || trimmed.includes('subtitles')) {
-            const urlMatch = trimmed.match(/URI="([^"]+)"/);
-            if (urlMatch) {
-              const subUrl = new URL(urlMatch[1], url).href;
-              await fetchAndCacheSubtitle(subUrl, tabInfo);  // Pass tabInfo
-            }
-          }
-          
-          // Also check for direct subtitle URLs
-          if (isSubtitleUrl(trimmed)) {
-            const subUrl = new URL(trimmed, url).href;
-            await fetchAndCacheSubtitle(subUrl, tabInfo);  // Pass tabInfo
-          }
-        }
-        
-      } catch (error) {
-        log('Error parsing M3U8:', error.message);
-      }
+      case 'ask':
+        await queuePendingCapture(capture, details.tabId, pageUrl);
+        return;
+      default:
+        await runCapture(capture);
     }
   },
   { urls: ['<all_urls>'] },
@@ -871,16 +1289,41 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     try {
       switch (message.type) {
         case 'getSubtitles':
-          const { subtitles = [] } = await chrome.storage.local.get('subtitles');
+          // Metadata only; content is loaded per entry when needed
+          const subtitles = await SubtitleStore.list();
           sendResponse({ subtitles });
           break;
           
+        case 'getSubtitleContent':
+          const stored = await loadSubtitle(message.id);
+          sendResponse({ success: true, name: stored.name, content: stored.content });
+          break;
+          
         case 'clearSubtitles':
-          await chrome.storage.local.set({ subtitles: [] });
+          await SubtitleStore.clear();
           processedUrls.clear();
           failedUrls.clear();
           processedYouTubeVideos.clear();
           youtubeSubtitleCache.clear();
+          processedAdapterVideos.clear();
+          sendResponse({ success: true });
+          break;
+          
+        case 'deleteSubtitles':
+          await SubtitleStore.delete(message.ids || []);
+          sendResponse({ success: true });
+          break;
+          
+        case 'getRejectedSubtitles':
+          sendResponse({ success: true, rejections: await SubtitleStore.listRejections() });
+          break;
+          
+        case 'searchSubtitles':
+          sendResponse({ success: true, ...(await searchSubtitles(message.query || '')) });
+          break;
+          
+        case 'clearRejectedSubtitles':
+          await SubtitleStore.clearRejections();
           sendResponse({ success: true });
           break;
           
@@ -900,17 +1343,97 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
           sendResponse({ success: true });
           break;
           
+        case 'captureTextTrack':
+          // From universal-content.js; the tab's page decides the policy, not the frame
+          await Settings.load();
+          const trackTabInfo = {
+            url: sender.tab?.url || message.pageUrl || '',
+            title: sender.tab?.title || message.pageTitle || ''
+          };
+          const trackCapture = {
+            kind: 'texttrack',
+            url: message.trackUrl || `${(message.pageUrl || '').replace(/#.*$/, '')}#track=${message.trackKey}`,
+            track: message,
+            tabInfo: trackTabInfo
+          };
+          
+          const trackPolicy = sitePolicyFor(trackTabInfo.url);
+          if (trackPolicy === 'ask') {
+            await queuePendingCapture(trackCapture, sender.tab?.id, trackTabInfo.url);
+          } else if (trackPolicy === 'always') {
+            await runCapture(trackCapture);
+          }
+          sendResponse({ success: true });
+          break;
+          
+        case 'elementPickerDone':
+          // The picker runs in every frame; stop it everywhere once one frame is done
+          if (sender.tab?.id !== undefined) {
+            chrome.tabs.sendMessage(sender.tab.id, { type: 'stopElementPicker' }).catch(() => {});
+          }
+          sendResponse({ success: true });
+          break;
+          
+        case 'saveRecordedCues':
+          const recorded = await storeRecordedCues(message, {
+            url: sender.tab?.url || message.pageUrl || '',
+            title: sender.tab?.title || message.pageTitle || ''
+          });
+          sendResponse({ success: true, ...recorded });
+          break;
+          
         case 'extractYouTubeVideo':
           // Manual extraction request
           const { videoId: targetVideoId, tabInfo } = message;
           if (targetVideoId) {
-            await YouTubeSubtitleExtractor.extractSubtitlesFromVideoId(targetVideoId, tabInfo);
-            sendResponse({ success: true });
+            const tracks = await YouTubeSubtitleExtractor.extractSubtitlesFromVideoId(targetVideoId, tabInfo);
+            sendResponse({ success: true, tracks: tracks.map(describeTrackForPopup) });
           } else {
             sendResponse({ success: false, error: 'No video ID provided' });
           }
           break;
           
+        case 'listYouTubeTracks':
+          // First step of the track picker: report what the video offers
+          if (!message.videoId) {
+            sendResponse({ success: false, error: 'No video ID provided' });
+            break;
+          }
+          
+          const trackList = await YouTubeSubtitleExtractor.getCaptionTracks(message.videoId);
+          sendResponse({
+            success: true,
+            videoId: message.videoId,
+            title: trackList.title,
+            tracks: trackList.tracks.map(describeTrackForPopup),
+            translationLanguages: trackList.translationLanguages || []
+          });
+          break;
+          
+        case 'extractYouTubeTracks':
+          // Second step: fetch only the tracks the user picked, each in its chosen format
+          const { videoId: pickedVideoId, selections = [], tabInfo: pickedTabInfo = {} } = message;
+          if (!pickedVideoId || selections.length === 0) {
+            sendResponse({ success: false, error: 'No tracks selected' });
+            break;
+          }
+          
+          const { tracks: availableTracks } = await YouTubeSubtitleExtractor.getCaptionTracks(pickedVideoId);
+          let fetchedCount = 0;
+          
+          for (const selection of selections) {
+            const track = availableTracks.find(t => t.vssId === selection.vssId);
+            if (!track) continue;
+            
+            const saved = await YouTubeSubtitleExtractor.fetchCaptionTrack(
+              pickedVideoId, track, pickedTabInfo, selection.format, selection.translateTo
+            );
+            if (saved) fetchedCount++;
+          }
+          
+          sendResponse({ success: true, requested: selections.length, fetched: fetchedCount });
+          break;
+          
         case 'extractCurrentTab':
           // Extract from current tab
           try {
@@ -918,16 +1441,15 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
               const tab = sender.tab;
               const url = tab.url;
               
-              if (url && url.includes('youtube.com/watch')) {
-                const urlObj = new URL(url);
-                const videoId = urlObj.searchParams.get('v');
+              if (url && siteAdapterFor(url) === YOUTUBE_ADAPTER) {
+                const videoId = YOUTUBE_ADAPTER.videoIdFor(url);
                 
                 if (videoId) {
-                  await YouTubeSubtitleExtractor.extractSubtitlesFromVideoId(videoId, {
+                  const tracks = await YouTubeSubtitleExtractor.extractSubtitlesFromVideoId(videoId, {
                     title: tab.title,
                     url: tab.url
                   });
-                  sendResponse({ success: true, videoId });
+                  sendResponse({ success: true, videoId, tracks: tracks.map(describeTrackForPopup) });
                 } else {
                   sendResponse({ success: false, error: 'No video ID found in URL' });
                 }
@@ -943,46 +1465,153 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
           break;
           
         case 'downloadSubtitle':
-          const { file } = message;
-          if (!file?.name || !file?.data) {
-            throw new Error('Invalid file data');
+          const { id: downloadId, format: targetFormat, bom } = message;
+          const file = await loadSubtitle(downloadId);
+          const download = buildSubtitleDownload(file, targetFormat, { bom });
+          
+          chrome.downloads.download({
+            url: download.url,
+            filename: download.filename,
+            saveAs: true
+          }, (startedId) => {
+            if (chrome.runtime.lastError) {
+              log('Download failed:', chrome.runtime.lastError);
+              sendResponse({ success: false, error: chrome.runtime.lastError.message });
+            } else {
+              log('Download started:', startedId);
+              sendResponse({ success: true, downloadId: startedId });
+            }
+          });
+          break;
+          
+        case 'mergeSubtitles':
+          const { ids: mergeIds = [], mode: mergeMode = 'stacked', format: mergeFormat = 'srt' } = message;
+          if (mergeIds.length !== 2) {
+            throw new Error('Select exactly two subtitles to merge');
           }
           
-          const dataUrl = `data:text/plain;base64,${file.data}`;
+          const mergeFiles = await Promise.all(mergeIds.map(loadSubtitle));
+          const mergedDownload = buildMergedDownload(mergeFiles[0], mergeFiles[1], mergeMode, mergeFormat, { bom: message.bom });
           
           chrome.downloads.download({
-            url: dataUrl,
-            filename: file.name,
+            url: mergedDownload.url,
+            filename: mergedDownload.filename,
             saveAs: true
           }, (downloadId) => {
             if (chrome.runtime.lastError) {
-              log('Download failed:', chrome.runtime.lastError);
+              log('Merged download failed:', chrome.runtime.lastError);
               sendResponse({ success: false, error: chrome.runtime.lastError.message });
             } else {
-              log('Download started:', downloadId);
-              sendResponse({ success: true, downloadId });
+              log('Merged download started:', downloadId);
+              sendResponse({ success: true, downloadId, filename: mergedDownload.filename });
             }
           });
           break;
           
+        case 'exportTranscript':
+          const transcriptFile = await loadSubtitle(message.id);
+          const transcript = buildTranscriptDownload(transcriptFile, message);
+          
+          chrome.downloads.download({
+            url: transcript.url,
+            filename: transcript.filename,
+            saveAs: true
+          }, (downloadId) => {
+            if (chrome.runtime.lastError) {
+              log('Transcript download failed:', chrome.runtime.lastError);
+              sendResponse({ success: false, error: chrome.runtime.lastError.message });
+            } else {
+              log('Transcript download started:', downloadId);
+              sendResponse({ success: true, downloadId, filename: transcript.filename });
+            }
+          });
+          break;
+          
+        case 'getSitePolicy':
+          // The popup names its page; content scripts get the policy of the tab they run in
+          await Settings.load();
+          const policyPageUrl = message.pageUrl || sender.tab?.url || '';
+          sendResponse({ success: true, pageUrl: policyPageUrl, ...(await describeSitePolicy(policyPageUrl)) });
+          break;
+          
+        case 'setSitePolicy':
+          // policy null drops the entry so the default applies again
+          await Settings.load();
+          const site = await describeSitePolicy(message.pageUrl || '');
+          if (!site.domain) {
+            sendResponse({ success: false, error: 'This page has no site to configure' });
+            break;
+          }
+          
+          const sitePolicies = { ...Settings.get('sitePolicies') };
+          if (SITE_POLICIES[message.policy]) {
+            sitePolicies[site.domain] = message.policy;
+          } else {
+            delete sitePolicies[site.domain];
+          }
+          await Settings.save({ sitePolicies });
+          // Apply right away; storage.onChanged catches up with the same value
+          Settings.values.sitePolicies = sitePolicies;
+          
+          const effective = sitePolicyFor(message.pageUrl);
+          if (effective === 'always') {
+            await capturePending(site.hostname);
+          } else if (effective === 'never') {
+            await dismissPendingCaptures(site.hostname);
+          }
+          sendResponse({ success: true, ...(await describeSitePolicy(message.pageUrl)) });
+          break;
+          
+        case 'capturePending':
+          const captured = await capturePending(message.hostname);
+          sendResponse({ success: true, captured });
+          break;
+          
+        case 'dismissPending':
+          await dismissPendingCaptures(message.hostname);
+          sendResponse({ success: true });
+          break;
+          
         case 'downloadAllSubtitles':
-          const { subtitles: allSubs = [] } = await chrome.storage.local.get('subtitles');
+          // ids narrows the download to a selection; all entries otherwise
+          const allSubs = Array.isArray(message.ids) && message.ids.length
+            ? await Promise.all(message.ids.map(loadSubtitle))
+            : await SubtitleStore.getAll();
           
           if (allSubs.length === 0) {
             sendResponse({ success: false, error: 'No subtitles available' });
             break;
           }
           
+          if (message.bundle) {
+            const bundle = await buildBundleDownload(allSubs, message.format, { bom: message.bom });
+            
+            chrome.downloads.download({
+              url: bundle.url,
+              filename: bundle.filename,
+              saveAs: true
+            }, (downloadId) => {
+              if (chrome.runtime.lastError) {
+                log('Bundle download failed:', chrome.runtime.lastError);
+                sendResponse({ success: false, error: chrome.runtime.lastError.message });
+              } else {
+                log(`Bundle download started: ${bundle.count} files`);
+                sendResponse({ success: true, downloadId, total: allSubs.length, downloaded: bundle.count, errors: bundle.errors });
+              }
+            });
+            break;
+          }
+          
           let downloadCount = 0;
           const errors = [];
           
           for (const file of allSubs) {
             try {
-              const dataUrl = `data:text/plain;base64,${file.data}`;
+              const download = buildSubtitleDownload(file, message.format, { bom: message.bom });
               
               chrome.downloads.download({
-                url: dataUrl,
-                filename: file.name,
+                url: download.url,
+                filename: download.filename,
                 saveAs: false
               }, (downloadId) => {
                 if (chrome.runtime.lastError) {
@@ -1016,33 +1645,71 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   return true;
 });
 
+// Move subtitles captured by older versions out of chrome.storage.local
+SubtitleStore.migrateFromStorageLocal()
+  .then(count => {
+    if (count > 0) log(`Migrated ${count} subtitles to IndexedDB`);
+  })
+  .catch(error => log('Subtitle migration failed:', error))
+  .then(() => indexMissingSubtitles())
+  .then(count => {
+    if (count > 0) log(`Indexed ${count} subtitles for search`);
+  })
+  .catch(error => log('Cue indexing failed:', error));
+
+// Settings are read live; retention limits apply as soon as they are lowered
+Settings.load().catch(error => console.error('[SubtitleCatcher] Could not load settings:', error));
+Settings.onChange((keys) => {
+  if (keys.includes('maxStoredSubtitles') || keys.includes('maxSubtitleAgeDays')) {
+    applyRetentionLimits().catch(error => log('Retention cleanup failed:', error));
+  }
+});
+
+// A restarted worker picks up captures still waiting for the user
+loadPendingCaptures();
+
 // Periodic cleanup
 setInterval(() => {
   cleanupCache();
+  applyRetentionLimits().catch(error => log('Retention cleanup failed:', error));
   
   if (failedUrls.size > 100) {
     failedUrls.clear();
   }
 }, 300000);
 
-// Monitor for YouTube tabs and auto-extract subtitles
+// Fetch caption tracks when a video page of a site with an adapter finishes loading
 chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
-  if (changeInfo.status === 'complete' && tab.url && tab.url.includes('youtube.com/watch')) {
-    const urlObj = new URL(tab.url);
-    const videoId = urlObj.searchParams.get('v');
-    
-    if (videoId && !processedYouTubeVideos.has(videoId)) {
-      log('Auto-extracting subtitles for YouTube video:', videoId);
-      
-      // Wait a bit for the page to fully load
-      setTimeout(async () => {
-        await YouTubeSubtitleExtractor.extractSubtitlesFromVideoId(videoId, {
-          title: tab.title,
-          url: tab.url
-        });
-      }, 3000);
-    }
+  if (changeInfo.status !== 'complete' || !tab.url) return;
+  
+  const adapter = siteAdapterFor(tab.url);
+  const videoId = adapter.discoverTracks ? adapter.videoIdFor(tab.url) : '';
+  if (!videoId) return;
+  
+  await Settings.load();
+  const policy = sitePolicyFor(tab.url);
+  if (!Settings.get('youtubeAutoExtract') || policy === 'never') return;
+  
+  const tabInfo = { title: tab.title, url: tab.url };
+  let capture;
+  if (adapter === YOUTUBE_ADAPTER) {
+    if (processedYouTubeVideos.has(videoId)) return;
+    capture = { kind: 'youtube', url: tab.url, videoId, tabInfo };
+  } else {
+    const videoKey = `${adapter.id}:${videoId}`;
+    if (processedAdapterVideos.has(videoKey)) return;
+    capture = { kind: 'tracks', adapter: adapter.id, url: tab.url, videoId, tabInfo };
   }
+  
+  if (policy === 'ask') {
+    await queuePendingCapture(capture, tabId, tab.url);
+    return;
+  }
+  
+  log(`Auto-extracting ${adapter.label} subtitles for video:`, videoId);
+  
+  // Wait a bit for the page to fully load
+  setTimeout(() => runCapture(capture), Settings.get('youtubeAutoExtractDelay') * 1000);
 });
 
 log('Subtitle Catcher background script initialized with YouTube support and automatic naming');
\ No newline at end of file
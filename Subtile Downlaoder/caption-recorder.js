@@ -0,0 +1,175 @@
+// Live cue recorder for players that only paint captions into the page. The
+// container the user names is watched while the video plays: every change of
+// its text closes the current cue and opens the next one, timed against
+// video.currentTime. Stopping sends the cue list to the background to be saved.
+// Runs after universal-content.js and uses its findVideos().
+
+// Shorter cues are flicker while the player redraws its overlay
+const MIN_RECORDED_CUE_MS = 200;
+
+// { selector, container, video, observer, cues, current, lastTime, startedAt } while recording
+let captionRecording = null;
+
+function deepQuerySelector(root, selector) {
+  const match = root.querySelector(selector);
+  if (match) return match;
+  for (const element of root.querySelectorAll('*')) {
+    if (element.shadowRoot) {
+      const inner = deepQuerySelector(element.shadowRoot, selector);
+      if (inner) return inner;
+    }
+  }
+  return null;
+}
+
+// The video the captions belong to: the one playing, else the largest one
+function findCaptionVideo() {
+  const videos = findVideos(document);
+  return videos.find(video => !video.paused) ||
+    videos.sort((a, b) => b.clientWidth * b.clientHeight - a.clientWidth * a.clientHeight)[0] ||
+    null;
+}
+
+// Text of the caption container, one line per rendered line
+function captionText(container) {
+  return (container.innerText || container.textContent || '')
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+function closeRecordedCue(recording, time) {
+  const cue = recording.current;
+  recording.current = null;
+  if (!cue) return;
+
+  cue.end = time;
+  if (cue.end - cue.start >= MIN_RECORDED_CUE_MS) recording.cues.push(cue);
+}
+
+function recordCaptionChange() {
+  const recording = captionRecording;
+  if (!recording) return;
+
+  // Players often replace the whole overlay; follow the selector to the new node
+  if (!recording.container.isConnected) {
+    const container = deepQuerySelector(document, recording.selector);
+    if (container) {
+      recording.container = container;
+      recording.observer.disconnect();
+      recording.observer.observe(container, { childList: true, subtree: true, characterData: true });
+    }
+  }
+
+  const time = Math.round(recording.video.currentTime * 1000);
+  recording.lastTime = time;
+  const text = recording.container.isConnected ? captionText(recording.container) : '';
+  if (text === (recording.current?.text || '')) return;
+
+  closeRecordedCue(recording, time);
+  if (text) recording.current = { start: time, end: time, text };
+}
+
+// A seek ends the cue where playback left off; the next one starts at the new position
+function onRecordingSeeking() {
+  closeRecordedCue(captionRecording, captionRecording.lastTime);
+}
+
+// null when this frame has no element for the selector (another frame may have it).
+// Without a selector the one saved with the element picker for this frame's site is used.
+function startCaptionRecording(selector) {
+  const chosen = selector || captionSelectorFor(location.href);
+  if (!chosen) return null;
+  const container = deepQuerySelector(document, chosen);
+  if (!container) return null;
+
+  const video = findCaptionVideo();
+  if (!video) {
+    return { success: false, error: 'No video found next to the caption element' };
+  }
+  if (captionRecording) stopCaptionRecording();
+
+  captionRecording = {
+    selector: chosen,
+    container,
+    video,
+    observer: new MutationObserver(recordCaptionChange),
+    cues: [],
+    current: null,
+    lastTime: Math.round(video.currentTime * 1000),
+    startedAt: Date.now()
+  };
+  captionRecording.observer.observe(container, { childList: true, subtree: true, characterData: true });
+  video.addEventListener('timeupdate', recordCaptionChange);
+  video.addEventListener('seeking', onRecordingSeeking);
+  video.addEventListener('seeked', recordCaptionChange);
+  recordCaptionChange();
+
+  return { success: true };
+}
+
+// Recorded cues in time order
+function stopCaptionRecording() {
+  const recording = captionRecording;
+  closeRecordedCue(recording, Math.round(recording.video.currentTime * 1000));
+  recording.observer.disconnect();
+  recording.video.removeEventListener('timeupdate', recordCaptionChange);
+  recording.video.removeEventListener('seeking', onRecordingSeeking);
+  recording.video.removeEventListener('seeked', recordCaptionChange);
+  captionRecording = null;
+
+  return recording.cues.sort((a, b) => a.start - b.start);
+}
+
+async function saveCaptionRecording(format) {
+  const cues = stopCaptionRecording();
+  if (cues.length === 0) {
+    return { success: false, error: 'No captions were recorded' };
+  }
+
+  try {
+    return await chrome.runtime.sendMessage({
+      type: 'saveRecordedCues',
+      cues,
+      format,
+      pageTitle: document.title,
+      pageUrl: location.href
+    });
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+// Frames without a recording stay silent so the one that has it answers
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.type === 'startCaptionRecording') {
+    let result;
+    try {
+      result = startCaptionRecording(message.selector);
+    } catch (error) {
+      result = { success: false, error: `Invalid selector: ${error.message}` };
+    }
+    if (result) sendResponse(result);
+    return false;
+  }
+
+  if (!captionRecording) return false;
+
+  if (message.type === 'getCaptionRecording') {
+    sendResponse({
+      recording: true,
+      selector: captionRecording.selector,
+      cueCount: captionRecording.cues.length + (captionRecording.current ? 1 : 0),
+      startedAt: captionRecording.startedAt
+    });
+    return false;
+  }
+
+  if (message.type === 'stopCaptionRecording') {
+    saveCaptionRecording(message.format).then(sendResponse);
+    return true;
+  }
+
+  return false;
+});
@@ -0,0 +1,187 @@
+// In-page picker for the caption element the DOM recorder watches. Started from
+// the popup in every frame of the tab: the element under the pointer is outlined,
+// a click saves a CSS selector for it under this frame's domain. Arrow up/down
+// move to the parent or back, Escape cancels. Picking in one frame stops the
+// picker in the others (through the background).
+
+const PICKER_HIGHLIGHT_STYLE = [
+  'position: fixed',
+  'z-index: 2147483647',
+  'pointer-events: none',
+  'border: 2px solid #4cc9f0',
+  'background: rgba(76, 201, 240, 0.15)',
+  'border-radius: 3px',
+  'transition: all 0.05s'
+].join(';');
+
+const PICKER_LABEL_STYLE = [
+  'position: fixed',
+  'z-index: 2147483647',
+  'pointer-events: none',
+  'max-width: 60vw',
+  'padding: 3px 6px',
+  'border-radius: 4px',
+  'background: #16213e',
+  'color: #e6e6e6',
+  'font: 12px monospace',
+  'white-space: nowrap',
+  'overflow: hidden',
+  'text-overflow: ellipsis'
+].join(';');
+
+// Class names that look generated by a build tool change between deployments
+const GENERATED_CLASS_PATTERN = /\d{3,}|^css-|^sc-|^jsx-|[_-][a-z0-9]{5,}$/i;
+
+// Parents walked through when a selector is not unique yet
+const MAX_SELECTOR_DEPTH = 5;
+
+// { highlight, label, target, children } while picking
+let elementPicker = null;
+
+function stableClassNames(element) {
+  return Array.from(element.classList)
+    .filter(name => /^[a-z_-][\w-]*$/i.test(name) && !GENERATED_CLASS_PATTERN.test(name))
+    .slice(0, 3);
+}
+
+function selectorStep(element) {
+  if (element.id && !/\d{3,}/.test(element.id)) return `#${CSS.escape(element.id)}`;
+
+  let step = element.localName;
+  const classes = stableClassNames(element);
+  if (classes.length) step += classes.map(name => `.${CSS.escape(name)}`).join('');
+
+  // Same-looking siblings need their position
+  const parent = element.parentElement;
+  if (parent && Array.from(parent.children).filter(child => child.matches(step)).length > 1) {
+    const index = Array.from(parent.children).filter(child => child.localName === element.localName).indexOf(element);
+    step += `:nth-of-type(${index + 1})`;
+  }
+  return step;
+}
+
+// Shortest selector from the element up that matches it alone within its document or shadow root
+function buildCssSelector(element) {
+  const root = element.getRootNode();
+  const steps = [];
+
+  for (let node = element; node && node.nodeType === Node.ELEMENT_NODE && steps.length < MAX_SELECTOR_DEPTH; node = node.parentElement) {
+    steps.unshift(selectorStep(node));
+    const selector = steps.join(' > ');
+    if (steps[0].startsWith('#') || root.querySelectorAll(selector).length === 1) return selector;
+  }
+  return steps.join(' > ');
+}
+
+function showPickerTarget(element) {
+  const picker = elementPicker;
+  picker.target = element;
+
+  const rect = element.getBoundingClientRect();
+  Object.assign(picker.highlight.style, {
+    top: `${rect.top}px`,
+    left: `${rect.left}px`,
+    width: `${rect.width}px`,
+    height: `${rect.height}px`
+  });
+
+  picker.label.textContent = buildCssSelector(element);
+  picker.label.style.top = `${Math.max(0, rect.top - 24)}px`;
+  picker.label.style.left = `${Math.max(0, rect.left)}px`;
+}
+
+// The innermost element under the pointer, inside shadow roots too
+function onPickerMouseMove(event) {
+  const element = event.composedPath().find(node => node.nodeType === Node.ELEMENT_NODE);
+  if (!element || element === elementPicker.target) return;
+  elementPicker.children = [];
+  showPickerTarget(element);
+}
+
+function onPickerKeyDown(event) {
+  const picker = elementPicker;
+  if (event.key === 'Escape') {
+    stopElementPicker(true);
+  } else if (event.key === 'ArrowUp' && picker.target?.parentElement && picker.target.parentElement !== document.documentElement) {
+    picker.children.push(picker.target);
+    showPickerTarget(picker.target.parentElement);
+  } else if (event.key === 'ArrowDown' && picker.children.length) {
+    showPickerTarget(picker.children.pop());
+  } else {
+    return;
+  }
+  event.preventDefault();
+  event.stopPropagation();
+}
+
+// Keep the page from reacting to the click that picks
+function onPickerClick(event) {
+  event.preventDefault();
+  event.stopPropagation();
+  if (event.type !== 'click' || !elementPicker.target) return;
+  saveCaptionSelector(buildCssSelector(elementPicker.target));
+}
+
+async function saveCaptionSelector(selector) {
+  const domain = normalizeSiteDomain(location.hostname);
+  stopElementPicker(true);
+
+  try {
+    await Settings.load();
+    await Settings.save({ captionSelectors: { ...Settings.get('captionSelectors'), [domain]: selector } });
+    showPickerToast(`Caption element saved for ${domain}: ${selector}. Start recording from the extension popup.`);
+  } catch (error) {
+    showPickerToast(`Could not save the caption element: ${error.message}`);
+  }
+}
+
+function showPickerToast(message) {
+  const toast = document.createElement('div');
+  toast.style.cssText = `${PICKER_LABEL_STYLE}; top: 12px; left: 50%; transform: translateX(-50%); padding: 8px 12px; white-space: normal;`;
+  toast.textContent = message;
+  document.documentElement.appendChild(toast);
+  setTimeout(() => toast.remove(), 5000);
+}
+
+function startElementPicker() {
+  if (elementPicker) return;
+
+  const highlight = document.createElement('div');
+  highlight.style.cssText = PICKER_HIGHLIGHT_STYLE;
+  const label = document.createElement('div');
+  label.style.cssText = PICKER_LABEL_STYLE;
+  document.documentElement.appendChild(highlight);
+  document.documentElement.appendChild(label);
+
+  elementPicker = { highlight, label, target: null, children: [] };
+  document.addEventListener('mousemove', onPickerMouseMove, true);
+  document.addEventListener('keydown', onPickerKeyDown, true);
+  ['mousedown', 'mouseup', 'click'].forEach(type => document.addEventListener(type, onPickerClick, true));
+}
+
+// notify: tell the other frames of the tab to stop as well
+function stopElementPicker(notify = false) {
+  if (!elementPicker) return;
+
+  elementPicker.highlight.remove();
+  elementPicker.label.remove();
+  elementPicker = null;
+  document.removeEventListener('mousemove', onPickerMouseMove, true);
+  document.removeEventListener('keydown', onPickerKeyDown, true);
+  ['mousedown', 'mouseup', 'click'].forEach(type => document.removeEventListener(type, onPickerClick, true));
+
+  if (notify) {
+    chrome.runtime.sendMessage({ type: 'elementPickerDone' }).catch(() => {});
+  }
+}
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.type === 'startElementPicker') {
+    startElementPicker();
+    // One answer for the whole tab
+    if (window === window.top) sendResponse({ success: true });
+  } else if (message.type === 'stopElementPicker') {
+    stopElementPicker();
+  }
+  return false;
+});
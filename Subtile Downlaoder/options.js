@@ -0,0 +1,331 @@
+const presetSelect = document.getElementById('presetSelect');
+const templateInput = document.getElementById('filenameTemplate');
+const tokenTableBody = document.getElementById('tokenTableBody');
+const templatePreview = document.getElementById('templatePreview');
+const saveBtn = document.getElementById('saveBtn');
+const saveStatus = document.getElementById('saveStatus');
+const resetBtn = document.getElementById('resetBtn');
+const exportFormatSelect = document.getElementById('defaultExportFormat');
+const defaultSitePolicySelect = document.getElementById('defaultSitePolicy');
+const sitePolicyList = document.getElementById('sitePolicyList');
+const addSiteBtn = document.getElementById('addSiteBtn');
+const captionSelectorList = document.getElementById('captionSelectorList');
+const addCaptionSelectorBtn = document.getElementById('addCaptionSelectorBtn');
+const exportCaptionSelectorsBtn = document.getElementById('exportCaptionSelectorsBtn');
+
+// List settings edited as text, and how that text is split
+const LIST_SEPARATORS = {
+  preferredLanguages: /[,\s]+/
+};
+
+// Captures the preview renders the template for
+const PREVIEW_SAMPLES = [
+  {
+    description: 'HLS episode, forced English',
+    info: { pageTitle: 'Breaking Bad - S02E03 - Bit by a Dead Bee | Netflix', language: 'en', kind: 'forced', format: 'srt', source: 'HLS', url: 'https://cdn.example.com/subs/en_forced.m3u8' }
+  },
+  {
+    description: 'YouTube auto-generated track',
+    info: { pageTitle: 'How Subtitles Work - YouTube', videoId: 'dQw4w9WgXcQ', language: 'en', kind: 'auto', format: 'vtt', source: 'YouTube' }
+  },
+  {
+    description: 'DASH movie with captions',
+    info: { pageTitle: 'The Big Movie', language: 'de', kind: 'sdh', format: 'ttml', source: 'DASH', url: 'https://cdn.example.com/movie.mpd' }
+  },
+  {
+    description: 'Sidecar file without a page title',
+    info: { pageTitle: '', url: 'https://cdn.example.com/subs/movie_en.srt', format: 'srt', source: 'Generic' }
+  }
+];
+
+function renderTokenTable() {
+  Object.entries(FILENAME_TOKENS).forEach(([token, description]) => {
+    const row = document.createElement('tr');
+    const tokenCell = document.createElement('td');
+    const code = document.createElement('code');
+    code.textContent = `{${token}}`;
+    code.title = 'Insert at the cursor';
+    code.addEventListener('click', () => insertToken(`{${token}}`));
+    tokenCell.appendChild(code);
+
+    const descriptionCell = document.createElement('td');
+    descriptionCell.textContent = description;
+
+    row.appendChild(tokenCell);
+    row.appendChild(descriptionCell);
+    tokenTableBody.appendChild(row);
+  });
+}
+
+function insertToken(token) {
+  const start = templateInput.selectionStart ?? templateInput.value.length;
+  const end = templateInput.selectionEnd ?? start;
+  templateInput.value = templateInput.value.slice(0, start) + token + templateInput.value.slice(end);
+  templateInput.focus();
+  templateInput.setSelectionRange(start + token.length, start + token.length);
+  updatePreview();
+}
+
+// Select the preset matching the template, or "Custom"
+function syncPresetSelect() {
+  const preset = Object.entries(FILENAME_PRESETS).find(([, { template }]) => template === templateInput.value.trim());
+  presetSelect.value = preset ? preset[0] : 'custom';
+}
+
+function updatePreview() {
+  templatePreview.innerHTML = '';
+  const template = templateInput.value.trim() || DEFAULT_FILENAME_TEMPLATE;
+
+  PREVIEW_SAMPLES.forEach(({ description, info }) => {
+    const li = document.createElement('li');
+    const source = document.createElement('span');
+    source.className = 'preview-source';
+    source.textContent = description;
+    li.appendChild(source);
+    li.append(renderFilename(template, filenameFieldsFor(info)));
+    templatePreview.appendChild(li);
+  });
+
+  syncPresetSelect();
+  saveStatus.textContent = '';
+}
+
+function appendPolicyOptions(select) {
+  Object.entries(SITE_POLICIES).forEach(([policy, label]) => {
+    const option = document.createElement('option');
+    option.value = policy;
+    option.textContent = label;
+    select.appendChild(option);
+  });
+}
+
+function createPolicySelect(value) {
+  const select = document.createElement('select');
+  select.className = 'format-select';
+  appendPolicyOptions(select);
+  select.value = value;
+  return select;
+}
+
+function addSitePolicyRow(domain = '', policy = 'never') {
+  const row = document.createElement('div');
+  row.className = 'site-policy-row';
+
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.spellcheck = false;
+  input.placeholder = 'example.com';
+  input.value = domain;
+
+  const removeBtn = document.createElement('button');
+  removeBtn.className = 'btn btn-secondary';
+  removeBtn.textContent = '✕';
+  removeBtn.title = 'Remove';
+  removeBtn.addEventListener('click', () => row.remove());
+
+  row.appendChild(input);
+  row.appendChild(createPolicySelect(policy));
+  row.appendChild(removeBtn);
+  sitePolicyList.appendChild(row);
+  return input;
+}
+
+function fillSitePolicies(policies) {
+  sitePolicyList.innerHTML = '';
+  Object.entries(policies)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .forEach(([domain, policy]) => addSitePolicyRow(domain, policy));
+}
+
+// { domain: policy } from the rows; empty domains are skipped, later rows win
+function readSitePolicies() {
+  const policies = {};
+  sitePolicyList.querySelectorAll('.site-policy-row').forEach(row => {
+    const domain = normalizeSiteDomain(row.querySelector('input').value);
+    if (domain) policies[domain] = row.querySelector('select').value;
+  });
+  return policies;
+}
+
+function addCaptionSelectorRow(domain = '', selector = '') {
+  const row = document.createElement('div');
+  row.className = 'caption-selector-row';
+
+  const domainInput = document.createElement('input');
+  domainInput.type = 'text';
+  domainInput.spellcheck = false;
+  domainInput.placeholder = 'example.com';
+  domainInput.value = domain;
+
+  const selectorInput = document.createElement('input');
+  selectorInput.type = 'text';
+  selectorInput.spellcheck = false;
+  selectorInput.placeholder = '.player .captions';
+  selectorInput.value = selector;
+
+  const removeBtn = document.createElement('button');
+  removeBtn.className = 'btn btn-secondary';
+  removeBtn.textContent = '✕';
+  removeBtn.title = 'Remove';
+  removeBtn.addEventListener('click', () => row.remove());
+
+  row.appendChild(domainInput);
+  row.appendChild(selectorInput);
+  row.appendChild(removeBtn);
+  captionSelectorList.appendChild(row);
+  return domainInput;
+}
+
+function fillCaptionSelectors(selectors) {
+  captionSelectorList.innerHTML = '';
+  Object.entries(selectors)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .forEach(([domain, selector]) => addCaptionSelectorRow(domain, selector));
+}
+
+function readCaptionSelectors() {
+  const selectors = {};
+  captionSelectorList.querySelectorAll('.caption-selector-row').forEach(row => {
+    const [domainInput, selectorInput] = row.querySelectorAll('input');
+    const domain = normalizeSiteDomain(domainInput.value);
+    const selector = selectorInput.value.trim();
+    if (domain && selector) selectors[domain] = selector;
+  });
+  return selectors;
+}
+
+// The elements as they are in the form, saved or not
+function exportCaptionSelectors() {
+  const json = `${JSON.stringify(readCaptionSelectors(), null, 2)}\n`;
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+  link.download = 'caption-elements.json';
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+// Put stored values into the form; each setting has an element with its key as id
+function fillForm(values) {
+  Object.keys(SETTINGS_DEFAULTS).forEach(key => {
+    const element = document.getElementById(key);
+    if (!element) return;
+
+    if (element.type === 'checkbox') {
+      element.checked = Boolean(values[key]);
+    } else if (LIST_SEPARATORS[key]) {
+      element.value = values[key].join(', ');
+    } else {
+      element.value = values[key];
+    }
+  });
+
+  fillSitePolicies(values.sitePolicies);
+  fillCaptionSelectors(values.captionSelectors);
+  if (!templateInput.value) templateInput.value = DEFAULT_FILENAME_TEMPLATE;
+  updatePreview();
+}
+
+function readForm() {
+  const values = {};
+  Object.keys(SETTINGS_DEFAULTS).forEach(key => {
+    const element = document.getElementById(key);
+    if (!element) return;
+
+    if (element.type === 'checkbox') {
+      values[key] = element.checked;
+    } else if (element.type === 'number') {
+      const number = Number(element.value);
+      values[key] = Number.isFinite(number) && number >= 0 ? number : SETTINGS_DEFAULTS[key];
+    } else if (LIST_SEPARATORS[key]) {
+      values[key] = element.value.split(LIST_SEPARATORS[key]).map(item => item.trim()).filter(Boolean);
+    } else {
+      values[key] = element.value.trim();
+    }
+  });
+
+  values.sitePolicies = readSitePolicies();
+  values.captionSelectors = readCaptionSelectors();
+  if (values.filenameTemplate === DEFAULT_FILENAME_TEMPLATE) values.filenameTemplate = '';
+  return values;
+}
+
+async function saveSettings() {
+  try {
+    saveBtn.disabled = true;
+    await Settings.save(readForm());
+    saveStatus.textContent = '✅ Saved';
+  } catch (error) {
+    console.error('Save error:', error);
+    saveStatus.textContent = `❌ ${error.message}`;
+  } finally {
+    saveBtn.disabled = false;
+  }
+}
+
+async function resetSettings() {
+  if (!confirm('Reset all options to their defaults?')) return;
+
+  try {
+    await Settings.reset();
+    fillForm(SETTINGS_DEFAULTS);
+    saveStatus.textContent = '✅ Defaults restored';
+  } catch (error) {
+    console.error('Reset error:', error);
+    saveStatus.textContent = `❌ ${error.message}`;
+  }
+}
+
+function setupExportFormats() {
+  const original = document.createElement('option');
+  original.value = 'original';
+  original.textContent = 'Original';
+  exportFormatSelect.appendChild(original);
+
+  Object.entries(SUBTITLE_FORMATS).forEach(([value, format]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = format.label;
+    exportFormatSelect.appendChild(option);
+  });
+}
+
+function setupPresets() {
+  Object.entries(FILENAME_PRESETS).forEach(([value, preset]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = preset.label;
+    presetSelect.appendChild(option);
+  });
+
+  const custom = document.createElement('option');
+  custom.value = 'custom';
+  custom.textContent = 'Custom';
+  presetSelect.appendChild(custom);
+
+  presetSelect.addEventListener('change', () => {
+    if (FILENAME_PRESETS[presetSelect.value]) {
+      templateInput.value = FILENAME_PRESETS[presetSelect.value].template;
+      updatePreview();
+    }
+  });
+}
+
+// Event listeners
+templateInput.addEventListener('input', updatePreview);
+saveBtn.addEventListener('click', saveSettings);
+resetBtn.addEventListener('click', resetSettings);
+addSiteBtn.addEventListener('click', () => addSitePolicyRow().focus());
+addCaptionSelectorBtn.addEventListener('click', () => addCaptionSelectorRow().focus());
+exportCaptionSelectorsBtn.addEventListener('click', exportCaptionSelectors);
+
+// Initialize
+setupPresets();
+setupExportFormats();
+appendPolicyOptions(defaultSitePolicySelect);
+renderTokenTable();
+Settings.load()
+  .then(fillForm)
+  .catch(error => {
+    console.error('Settings error:', error);
+    saveStatus.textContent = `❌ ${error.message}`;
+  });
@@ -1,15 +1,92 @@
 const listContainer = document.getElementById('subtitlesList');
 const refreshBtn = document.getElementById('refreshBtn');
 const clearBtn = document.getElementById('clearBtn');
+const searchPageBtn = document.getElementById('searchPageBtn');
+const zipBtn = document.getElementById('zipBtn');
+const optionsBtn = document.getElementById('optionsBtn');
 const emptyState = document.getElementById('emptyState');
 const subtitleCount = document.getElementById('subtitleCount');
 const lastUpdate = document.getElementById('lastUpdate');
 
+// History filters
+const sourceFilter = document.getElementById('sourceFilter');
+const languageFilter = document.getElementById('languageFilter');
+const dateFilter = document.getElementById('dateFilter');
+
+// Days each date filter reaches back
+const HISTORY_DATE_RANGES = {
+  all: 'Any time',
+  1: 'Last 24 hours',
+  7: 'Last 7 days',
+  30: 'Last 30 days'
+};
+
+// Last list from the background, re-rendered when filters change
+let historyEntries = [];
+// Groups the user opened, kept across refreshes
+const expandedGroups = new Set();
+
+// Site policy elements
+const siteBar = document.getElementById('siteBar');
+const siteName = document.getElementById('siteName');
+const sitePolicySelect = document.getElementById('sitePolicySelect');
+const sitePending = document.getElementById('sitePending');
+const sitePendingText = document.getElementById('sitePendingText');
+const capturePendingBtn = document.getElementById('capturePendingBtn');
+const dismissPendingBtn = document.getElementById('dismissPendingBtn');
+
+// Page of the active tab and what the background knows about its site
+let activePageUrl = '';
+let activeSite = null;
+
+// Caption recorder elements
+const recorderSelector = document.getElementById('recorderSelector');
+const recorderFormat = document.getElementById('recorderFormat');
+const recordBtn = document.getElementById('recordBtn');
+const pickElementBtn = document.getElementById('pickElementBtn');
+const recorderStatus = document.getElementById('recorderStatus');
+
+// Formats a recording can be saved as
+const RECORDER_FORMATS = ['srt', 'vtt'];
+
+// Polls the cue count while the active tab is recording
+let recorderTimer = null;
+
+// Bilingual merge elements
+const mergeBar = document.getElementById('mergeBar');
+const mergeSummary = document.getElementById('mergeSummary');
+const mergeModeSelect = document.getElementById('mergeModeSelect');
+const mergeFormatSlot = document.getElementById('mergeFormatSlot');
+const mergeBtn = document.getElementById('mergeBtn');
+
+// Entries ticked for merging, keyed by id in selection order
+const selectedFiles = new Map();
+
+// Cue preview elements
+const previewPane = document.getElementById('previewPane');
+const previewTitle = document.getElementById('previewTitle');
+const previewCloseBtn = document.getElementById('previewCloseBtn');
+const previewStats = document.getElementById('previewStats');
+const previewSearch = document.getElementById('previewSearch');
+const previewCount = document.getElementById('previewCount');
+const cueTableBody = document.getElementById('cueTableBody');
+
+// Entry shown in the preview pane and its parsed cues
+let previewFileId = null;
+let previewCues = [];
+
 // YouTube extraction elements
 const extractCurrentBtn = document.getElementById('extractCurrentBtn');
 const extractUrlBtn = document.getElementById('extractUrlBtn');
 const youtubeUrlInput = document.getElementById('youtubeUrlInput');
 const extractionStatus = document.getElementById('extractionStatus');
+const trackPicker = document.getElementById('trackPicker');
+const trackPickerTitle = document.getElementById('trackPickerTitle');
+const trackList = document.getElementById('trackList');
+const fetchTracksBtn = document.getElementById('fetchTracksBtn');
+
+// Video currently shown in the track picker: { videoId, tabInfo }
+let pickerVideo = null;
 
 function formatFileSize(bytes) {
   if (bytes === 0) return '0 Bytes';
@@ -32,131 +109,618 @@ function formatTime(timestamp) {
   return new Date(timestamp).toLocaleDateString();
 }
 
-function renderList(subtitles) {
-  listContainer.innerHTML = '';
+// Target-format picker shown next to each download button
+function createFormatSelect(includeOriginal = true) {
+  const select = document.createElement('select');
+  select.className = 'format-select';
+  select.title = 'Download format';
   
-  if (!subtitles || subtitles.length === 0) {
-    emptyState.style.display = 'block';
-    subtitleCount.textContent = '0 subtitles';
-    lastUpdate.textContent = 'Just now';
-    return;
+  if (includeOriginal) {
+    const original = document.createElement('option');
+    original.value = 'original';
+    original.textContent = 'Original';
+    select.appendChild(original);
   }
   
-  emptyState.style.display = 'none';
-  subtitleCount.textContent = `${subtitles.length} subtitle${subtitles.length !== 1 ? 's' : ''}`;
-  lastUpdate.textContent = formatTime(Math.max(...subtitles.map(s => s.timestamp || 0)));
+  Object.entries(SUBTITLE_FORMATS).forEach(([value, format]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = format.label;
+    select.appendChild(option);
+  });
   
-  // Sort by timestamp (newest first)
-  const sortedSubs = subtitles.sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
+  if (includeOriginal) {
+    select.value = Settings.get('defaultExportFormat');
+  }
   
-  sortedSubs.forEach((file, index) => {
-    const li = document.createElement('li');
+  select.addEventListener('click', (e) => e.stopPropagation());
+  return select;
+}
+
+// h:mm:ss (or m:ss) for stats lines
+function formatDuration(ms) {
+  const totalSeconds = Math.round(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+}
+
+function renderCueTable() {
+  const query = previewSearch.value.trim().toLowerCase();
+  cueTableBody.innerHTML = '';
+  let shown = 0;
+  
+  previewCues.forEach((cue, index) => {
+    const text = stripCueTags(cue.text);
+    if (query && !text.toLowerCase().includes(query)) return;
     
-    const nameDiv = document.createElement('div');
-    nameDiv.className = 'subtitle-name';
-    nameDiv.textContent = file.name;
-    if (file.source) {
-      nameDiv.setAttribute('data-source', file.source);
+    const row = document.createElement('tr');
+    [
+      [String(index + 1), ''],
+      [formatClockTime(cue.start, 'vtt'), 'cue-time'],
+      [formatClockTime(cue.end, 'vtt'), 'cue-time'],
+      [text, 'cue-text']
+    ].forEach(([value, className]) => {
+      const cell = document.createElement('td');
+      cell.textContent = value;
+      if (className) cell.className = className;
+      row.appendChild(cell);
+    });
+    cueTableBody.appendChild(row);
+    shown++;
+  });
+  
+  previewCount.textContent = query ? `${shown} of ${previewCues.length} cues` : '';
+}
+
+function hidePreview() {
+  previewPane.style.display = 'none';
+  previewFileId = null;
+  previewCues = [];
+  cueTableBody.innerHTML = '';
+}
+
+// Parse the stored file and show its cues and stats
+async function showPreview(file) {
+  previewFileId = file.id;
+  previewCues = [];
+  previewPane.style.display = 'block';
+  previewTitle.textContent = file.name;
+  previewStats.textContent = '⏳ Loading...';
+  previewSearch.value = '';
+  previewCount.textContent = '';
+  cueTableBody.innerHTML = '';
+  
+  try {
+    const response = await new Promise((resolve) => {
+      chrome.runtime.sendMessage({ type: 'getSubtitleContent', id: file.id }, resolve);
+    });
+    if (!response?.success) {
+      throw new Error(response?.error || 'Failed to load subtitle');
     }
+    // Another entry may have been opened while this one loaded
+    if (previewFileId !== file.id) return;
     
-    const infoDiv = document.createElement('div');
-    infoDiv.className = 'subtitle-info';
-    
-    let infoText = '';
-    if (file.size) {
-      infoText += formatFileSize(file.size);
-    }
-    if (file.timestamp) {
-      if (infoText) infoText += ' • ';
-      infoText += formatTime(file.timestamp);
+    const { format, cues } = parseSubtitle(response.content, file.format || file.name.split('.').pop());
+    if (!format) {
+      throw new Error('Unrecognized subtitle format');
     }
-    infoDiv.textContent = infoText;
     
-    const actionsDiv = document.createElement('div');
-    actionsDiv.className = 'subtitle-actions';
+    previewCues = cues;
+    const stats = summarizeCues(cues);
+    const language = file.language
+      ? `${file.language} (tagged)`
+      : (stats.language ? `${stats.language} (guessed)` : 'unknown');
+    
+    previewStats.textContent = [
+      SUBTITLE_FORMATS[format]?.label || format.toUpperCase(),
+      `${stats.cueCount} cue${stats.cueCount !== 1 ? 's' : ''}`,
+      `${formatDuration(stats.covered)} covered of ${formatDuration(stats.lastEnd - stats.firstStart)}`,
+      `Language: ${language}`
+    ].join(' • ');
+    renderCueTable();
+  } catch (error) {
+    console.error('Preview error:', error);
+    if (previewFileId === file.id) {
+      previewStats.textContent = `⚠️ ${error.message}`;
+    }
+  }
+}
+
+function createOptionSelect(choices, title) {
+  const select = document.createElement('select');
+  select.className = 'format-select';
+  select.title = title;
+  
+  Object.entries(choices).forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = typeof label === 'string' ? label : label.label;
+    select.appendChild(option);
+  });
+  
+  select.addEventListener('click', (e) => e.stopPropagation());
+  return select;
+}
+
+// Transcript format, layout and marker pickers plus their export button
+function createTranscriptOptions(file) {
+  const optionsDiv = document.createElement('div');
+  optionsDiv.className = 'transcript-options';
+  optionsDiv.style.display = 'none';
+  
+  const formatSelect = createOptionSelect(TRANSCRIPT_FORMATS, 'Transcript format');
+  const layoutSelect = createOptionSelect(TRANSCRIPT_LAYOUTS, 'Transcript layout');
+  const markerSelect = createOptionSelect(TRANSCRIPT_MARKER_INTERVALS, 'Timestamp markers');
+  
+  const exportBtn = document.createElement('button');
+  exportBtn.className = 'btn btn-success';
+  exportBtn.innerHTML = '⬇️ Export';
+  exportBtn.title = 'Download a transcript without timing';
+  
+  exportBtn.addEventListener('click', async (e) => {
+    e.stopPropagation();
+    exportBtn.disabled = true;
+    exportBtn.innerHTML = '⏳ Exporting...';
     
-    const dlBtn = document.createElement('button');
-    dlBtn.className = 'btn btn-success';
-    dlBtn.innerHTML = '⬇️ Download';
-    dlBtn.title = 'Download this subtitle file';
+    try {
+      const response = await new Promise((resolve) => {
+        chrome.runtime.sendMessage({
+          type: 'exportTranscript',
+          id: file.id,
+          format: formatSelect.value,
+          layout: layoutSelect.value,
+          markerInterval: Number(markerSelect.value)
+        }, resolve);
+      });
+      
+      if (!response?.success) {
+        throw new Error(response?.error || 'Transcript export failed');
+      }
+      exportBtn.innerHTML = '✅ Exported';
+    } catch (error) {
+      console.error('Transcript error:', error);
+      exportBtn.innerHTML = '❌ Failed';
+      exportBtn.title = error.message;
+    } finally {
+      setTimeout(() => {
+        exportBtn.innerHTML = '⬇️ Export';
+        exportBtn.disabled = false;
+      }, 2000);
+    }
+  });
+  
+  optionsDiv.appendChild(formatSelect);
+  optionsDiv.appendChild(layoutSelect);
+  optionsDiv.appendChild(markerSelect);
+  optionsDiv.appendChild(exportBtn);
+  return optionsDiv;
+}
+
+// Show the merge bar once something is selected; merging needs exactly two entries
+function updateMergeBar() {
+  const files = Array.from(selectedFiles.values());
+  mergeBar.style.display = files.length > 0 ? 'block' : 'none';
+  mergeBtn.disabled = files.length !== 2;
+  zipBtn.title = files.length > 0
+    ? `Download the ${files.length} selected subtitle${files.length !== 1 ? 's' : ''} as one ZIP`
+    : 'Download all subtitles as one ZIP';
+  
+  if (files.length === 1) {
+    mergeSummary.textContent = `1 selected (${files[0].language || files[0].name}) — pick one more to merge`;
+  } else if (files.length === 2) {
+    mergeSummary.textContent = `Merge ${files[0].language || files[0].name} + ${files[1].language || files[1].name}`;
+  } else {
+    mergeSummary.textContent = `${files.length} selected — merging takes exactly two`;
+  }
+}
+
+function createSubtitleItem(file) {
+  const li = document.createElement('li');
+  
+  const selectBox = document.createElement('input');
+  selectBox.type = 'checkbox';
+  selectBox.className = 'subtitle-select';
+  selectBox.title = 'Select for merging';
+  selectBox.checked = selectedFiles.has(file.id);
+  selectBox.addEventListener('change', () => {
+    if (selectBox.checked) {
+      selectedFiles.set(file.id, file);
+    } else {
+      selectedFiles.delete(file.id);
+    }
+    updateMergeBar();
+  });
+  
+  const nameDiv = document.createElement('div');
+  nameDiv.className = 'subtitle-name';
+  nameDiv.textContent = file.name;
+  if (file.source) {
+    nameDiv.setAttribute('data-source', file.source);
+  }
+  
+  const infoDiv = document.createElement('div');
+  infoDiv.className = 'subtitle-info';
+  
+  let infoText = '';
+  if (file.targetLanguage) {
+    infoText += `${file.sourceLanguage} → ${file.targetLanguage} (translated)`;
+  } else if (['HLS', 'DASH', 'TextTrack', 'Vimeo'].includes(file.source) && (file.trackName || file.language)) {
+    infoText += `${file.trackName || file.language}${file.forced ? ' (forced)' : ''}`;
+  }
+  if (file.size) {
+    if (infoText) infoText += ' • ';
+    infoText += formatFileSize(file.size);
+  }
+  if (file.timestamp) {
+    if (infoText) infoText += ' • ';
+    infoText += formatTime(file.timestamp);
+  }
+  infoDiv.textContent = infoText;
+  
+  const actionsDiv = document.createElement('div');
+  actionsDiv.className = 'subtitle-actions';
+  
+  const formatSelect = createFormatSelect();
+  
+  const dlBtn = document.createElement('button');
+  dlBtn.className = 'btn btn-success';
+  dlBtn.innerHTML = '⬇️ Download';
+  dlBtn.title = 'Download this subtitle file';
+  
+  dlBtn.addEventListener('click', async (e) => {
+    e.stopPropagation();
+    dlBtn.disabled = true;
+    dlBtn.innerHTML = '⏳ Downloading...';
     
-    dlBtn.addEventListener('click', async (e) => {
-      e.stopPropagation();
-      dlBtn.disabled = true;
-      dlBtn.innerHTML = '⏳ Downloading...';
+    try {
+      const response = await new Promise((resolve) => {
+        chrome.runtime.sendMessage(
+          { type: 'downloadSubtitle', id: file.id, format: formatSelect.value },
+          resolve
+        );
+      });
       
-      try {
-        const response = await new Promise((resolve) => {
-          chrome.runtime.sendMessage(
-            { type: 'downloadSubtitle', file },
-            resolve
-          );
-        });
-        
-        if (response?.success) {
-          dlBtn.innerHTML = '✅ Downloaded';
-          setTimeout(() => {
-            dlBtn.innerHTML = '⬇️ Download';
-            dlBtn.disabled = false;
-          }, 2000);
-        } else {
-          throw new Error(response?.error || 'Download failed');
-        }
-      } catch (error) {
-        console.error('Download error:', error);
-        dlBtn.innerHTML = '❌ Failed';
-        dlBtn.className = 'btn btn-danger';
+      if (response?.success) {
+        dlBtn.innerHTML = '✅ Downloaded';
         setTimeout(() => {
           dlBtn.innerHTML = '⬇️ Download';
-          dlBtn.className = 'btn btn-success';
           dlBtn.disabled = false;
-        }, 3000);
-      }
-    });
-    
-    const copyBtn = document.createElement('button');
-    copyBtn.className = 'btn btn-secondary';
-    copyBtn.innerHTML = '📋 Copy';
-    copyBtn.title = 'Copy subtitle content to clipboard';
-    
-    copyBtn.addEventListener('click', async (e) => {
-      e.stopPropagation();
-      try {
-        const content = atob(file.data);
-        
-        if (navigator.clipboard && navigator.clipboard.writeText) {
-          await navigator.clipboard.writeText(content);
-        } else {
-          const textArea = document.createElement('textarea');
-          textArea.value = content;
-          document.body.appendChild(textArea);
-          textArea.select();
-          document.execCommand('copy');
-          document.body.removeChild(textArea);
-        }
-        
-        copyBtn.innerHTML = '✅ Copied';
-        setTimeout(() => {
-          copyBtn.innerHTML = '📋 Copy';
-        }, 2000);
-      } catch (error) {
-        console.error('Copy error:', error);
-        copyBtn.innerHTML = '❌ Failed';
-        setTimeout(() => {
-          copyBtn.innerHTML = '📋 Copy';
         }, 2000);
+      } else {
+        throw new Error(response?.error || 'Download failed');
       }
+    } catch (error) {
+      console.error('Download error:', error);
+      dlBtn.innerHTML = '❌ Failed';
+      dlBtn.className = 'btn btn-danger';
+      setTimeout(() => {
+        dlBtn.innerHTML = '⬇️ Download';
+        dlBtn.className = 'btn btn-success';
+        dlBtn.disabled = false;
+      }, 3000);
+    }
+  });
+  
+  const copyBtn = document.createElement('button');
+  copyBtn.className = 'btn btn-secondary';
+  copyBtn.innerHTML = '📋 Copy';
+  copyBtn.title = 'Copy subtitle content to clipboard';
+  
+  copyBtn.addEventListener('click', async (e) => {
+    e.stopPropagation();
+    try {
+      const response = await new Promise((resolve) => {
+        chrome.runtime.sendMessage({ type: 'getSubtitleContent', id: file.id }, resolve);
+      });
+      if (!response?.success) {
+        throw new Error(response?.error || 'Failed to load subtitle');
+      }
+      const content = response.content;
+      
+      if (navigator.clipboard && navigator.clipboard.writeText) {
+        await navigator.clipboard.writeText(content);
+      } else {
+        const textArea = document.createElement('textarea');
+        textArea.value = content;
+        document.body.appendChild(textArea);
+        textArea.select();
+        document.execCommand('copy');
+        document.body.removeChild(textArea);
+      }
+      
+      copyBtn.innerHTML = '✅ Copied';
+      setTimeout(() => {
+        copyBtn.innerHTML = '📋 Copy';
+      }, 2000);
+    } catch (error) {
+      console.error('Copy error:', error);
+      copyBtn.innerHTML = '❌ Failed';
+      setTimeout(() => {
+        copyBtn.innerHTML = '📋 Copy';
+      }, 2000);
+    }
+  });
+  
+  const previewBtn = document.createElement('button');
+  previewBtn.className = 'btn btn-secondary';
+  previewBtn.innerHTML = '👁️ Preview';
+  previewBtn.title = 'Show the cues of this subtitle';
+  
+  previewBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    if (previewFileId === file.id) {
+      hidePreview();
+    } else {
+      showPreview(file);
+    }
+  });
+  
+  const transcriptOptions = createTranscriptOptions(file);
+  
+  const transcriptBtn = document.createElement('button');
+  transcriptBtn.className = 'btn btn-secondary';
+  transcriptBtn.innerHTML = '📝 Transcript';
+  transcriptBtn.title = 'Export the text as a transcript';
+  
+  transcriptBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    transcriptOptions.style.display = transcriptOptions.style.display === 'none' ? 'flex' : 'none';
+  });
+  
+  actionsDiv.appendChild(formatSelect);
+  actionsDiv.appendChild(dlBtn);
+  actionsDiv.appendChild(copyBtn);
+  actionsDiv.appendChild(previewBtn);
+  actionsDiv.appendChild(transcriptBtn);
+  
+  const headerDiv = document.createElement('div');
+  headerDiv.className = 'subtitle-header';
+  headerDiv.appendChild(selectBox);
+  headerDiv.appendChild(nameDiv);
+  
+  li.appendChild(headerDiv);
+  if (infoText) li.appendChild(infoDiv);
+  li.appendChild(actionsDiv);
+  li.appendChild(transcriptOptions);
+  
+  return li;
+}
+
+function entryLanguage(file) {
+  return file.targetLanguage || file.language || '';
+}
+
+// YouTube and Vimeo entries group by video, everything else by the page it was captured on
+function historyGroupKey(file) {
+  if (file.videoId) return `video:${file.videoId}`;
+  if (file.pageUrl) return `page:${file.pageUrl.replace(/#.*$/, '')}`;
+  return `entry:${file.id}`;
+}
+
+// [{ key, title, files, latest }], newest group first; variants sorted by language
+function groupSubtitles(subtitles) {
+  const groups = new Map();
+  
+  subtitles.forEach(file => {
+    const key = historyGroupKey(file);
+    if (!groups.has(key)) {
+      groups.set(key, { key, title: '', files: [], latest: 0 });
+    }
+    const group = groups.get(key);
+    group.files.push(file);
+    group.latest = Math.max(group.latest, file.timestamp || 0);
+    if (!group.title && file.pageTitle) group.title = file.pageTitle;
+  });
+  
+  return Array.from(groups.values())
+    .map(group => {
+      group.files.sort((a, b) =>
+        entryLanguage(a).localeCompare(entryLanguage(b)) || (b.timestamp || 0) - (a.timestamp || 0)
+      );
+      group.title = group.title || group.files[0].name;
+      return group;
+    })
+    .sort((a, b) => b.latest - a.latest);
+}
+
+// Refill a filter with the values present, keeping the current choice when it still exists
+function fillFilterSelect(select, allLabel, values) {
+  const current = select.value;
+  select.innerHTML = '';
+  
+  [['all', allLabel], ...values].forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+  });
+  select.value = values.some(([value]) => value === current) ? current : 'all';
+}
+
+function updateHistoryFilters(subtitles) {
+  const sources = [...new Set(subtitles.map(file => file.source || 'Generic'))].sort();
+  fillFilterSelect(sourceFilter, 'All sources', sources.map(source => [source, source]));
+  
+  const languages = [...new Set(subtitles.map(entryLanguage))].sort();
+  fillFilterSelect(languageFilter, 'All languages', languages.map(language => [language || 'none', language || 'Unknown']));
+}
+
+function matchesHistoryFilters(file) {
+  if (sourceFilter.value !== 'all' && (file.source || 'Generic') !== sourceFilter.value) return false;
+  if (languageFilter.value !== 'all' && (entryLanguage(file) || 'none') !== languageFilter.value) return false;
+  if (dateFilter.value !== 'all' && (file.timestamp || 0) < Date.now() - Number(dateFilter.value) * 86400000) return false;
+  return true;
+}
+
+function sendGroupMessage(message) {
+  return new Promise((resolve) => chrome.runtime.sendMessage(message, resolve));
+}
+
+function createHistoryGroup(group) {
+  const li = document.createElement('li');
+  li.className = 'subtitle-group';
+  const collapsible = group.files.length > 1;
+  
+  const variantsList = document.createElement('ul');
+  variantsList.className = 'group-variants';
+  group.files.forEach(file => variantsList.appendChild(createSubtitleItem(file)));
+  
+  const headerDiv = document.createElement('div');
+  headerDiv.className = 'group-header';
+  
+  const toggle = document.createElement('span');
+  toggle.className = 'group-toggle';
+  
+  const setExpanded = (expanded) => {
+    variantsList.style.display = expanded ? 'block' : 'none';
+    toggle.textContent = collapsible ? (expanded ? '▾' : '▸') : '';
+  };
+  setExpanded(!collapsible || expandedGroups.has(group.key));
+  
+  if (collapsible) {
+    headerDiv.title = 'Show or hide the variants';
+    headerDiv.addEventListener('click', () => {
+      if (expandedGroups.has(group.key)) {
+        expandedGroups.delete(group.key);
+      } else {
+        expandedGroups.add(group.key);
+      }
+      setExpanded(expandedGroups.has(group.key));
     });
+  }
+  
+  const titleDiv = document.createElement('div');
+  titleDiv.className = 'group-title';
+  titleDiv.textContent = group.title;
+  
+  const languages = [...new Set(group.files.map(entryLanguage).filter(Boolean))];
+  const summaryDiv = document.createElement('div');
+  summaryDiv.className = 'group-summary';
+  summaryDiv.textContent = [
+    group.files[0].source || 'Generic',
+    `${group.files.length} variant${group.files.length !== 1 ? 's' : ''}`,
+    languages.join(', '),
+    group.latest ? formatTime(group.latest) : ''
+  ].filter(Boolean).join(' • ');
+  
+  const headingDiv = document.createElement('div');
+  headingDiv.appendChild(titleDiv);
+  headingDiv.appendChild(summaryDiv);
+  headerDiv.appendChild(toggle);
+  headerDiv.appendChild(headingDiv);
+  
+  const actionsDiv = document.createElement('div');
+  actionsDiv.className = 'subtitle-actions';
+  const ids = group.files.map(file => file.id);
+  
+  const formatSelect = createFormatSelect();
+  
+  const dlAllBtn = document.createElement('button');
+  dlAllBtn.className = 'btn btn-success';
+  dlAllBtn.innerHTML = '⬇️ All';
+  dlAllBtn.title = 'Download every variant of this video';
+  dlAllBtn.addEventListener('click', async () => {
+    dlAllBtn.disabled = true;
+    try {
+      const response = await sendGroupMessage({ type: 'downloadAllSubtitles', ids, format: formatSelect.value });
+      if (!response?.success) {
+        throw new Error(response?.error || 'Download failed');
+      }
+    } catch (error) {
+      console.error('Group download error:', error);
+      alert('Failed to download subtitles: ' + error.message);
+    } finally {
+      dlAllBtn.disabled = false;
+    }
+  });
+  
+  // Selects the group for the merge bar; two variants merge right away
+  const mergeGroupBtn = document.createElement('button');
+  mergeGroupBtn.className = 'btn btn-secondary';
+  mergeGroupBtn.innerHTML = '🔀 Merge';
+  mergeGroupBtn.title = group.files.length === 2 ? 'Merge both variants' : 'Select these variants for merging';
+  mergeGroupBtn.addEventListener('click', () => {
+    selectedFiles.clear();
+    group.files.forEach(file => selectedFiles.set(file.id, file));
+    if (group.files.length === 2) {
+      mergeSelected();
+    } else {
+      expandedGroups.add(group.key);
+    }
+    renderList(historyEntries);
+  });
+  
+  const deleteBtn = document.createElement('button');
+  deleteBtn.className = 'btn btn-danger';
+  deleteBtn.innerHTML = '🗑️ Delete';
+  deleteBtn.title = 'Delete every variant of this video';
+  deleteBtn.addEventListener('click', async () => {
+    if (!confirm(`Delete ${ids.length} subtitle${ids.length !== 1 ? 's' : ''} of "${group.title}"?`)) return;
     
-    actionsDiv.appendChild(dlBtn);
-    actionsDiv.appendChild(copyBtn);
-    
-    li.appendChild(nameDiv);
-    if (infoText) li.appendChild(infoDiv);
-    li.appendChild(actionsDiv);
-    
-    listContainer.appendChild(li);
+    try {
+      deleteBtn.disabled = true;
+      const response = await sendGroupMessage({ type: 'deleteSubtitles', ids });
+      if (!response?.success) {
+        throw new Error(response?.error || 'Delete failed');
+      }
+      await refreshList();
+    } catch (error) {
+      console.error('Delete error:', error);
+      alert('Failed to delete subtitles: ' + error.message);
+      deleteBtn.disabled = false;
+    }
   });
+  
+  actionsDiv.appendChild(formatSelect);
+  actionsDiv.appendChild(dlAllBtn);
+  if (group.files.length > 1) actionsDiv.appendChild(mergeGroupBtn);
+  actionsDiv.appendChild(deleteBtn);
+  
+  li.appendChild(headerDiv);
+  li.appendChild(actionsDiv);
+  li.appendChild(variantsList);
+  return li;
+}
+
+function renderList(subtitles) {
+  listContainer.innerHTML = '';
+  historyEntries = subtitles || [];
+  
+  // Drop selections whose entries are gone
+  const ids = new Set((subtitles || []).map(file => file.id));
+  Array.from(selectedFiles.keys()).forEach(id => {
+    if (!ids.has(id)) selectedFiles.delete(id);
+  });
+  updateMergeBar();
+  if (previewFileId !== null && !ids.has(previewFileId)) hidePreview();
+  
+  if (!subtitles || subtitles.length === 0) {
+    emptyState.style.display = 'block';
+    subtitleCount.textContent = '0 subtitles';
+    lastUpdate.textContent = 'Just now';
+    return;
+  }
+  
+  emptyState.style.display = 'none';
+  lastUpdate.textContent = formatTime(Math.max(...subtitles.map(s => s.timestamp || 0)));
+  updateHistoryFilters(subtitles);
+  
+  const shown = subtitles.filter(matchesHistoryFilters);
+  subtitleCount.textContent = shown.length === subtitles.length
+    ? `${subtitles.length} subtitle${subtitles.length !== 1 ? 's' : ''}`
+    : `${shown.length} of ${subtitles.length} subtitles`;
+  
+  if (shown.length === 0) {
+    const li = document.createElement('li');
+    li.className = 'filter-empty';
+    li.textContent = 'No subtitles match the filters';
+    listContainer.appendChild(li);
+    return;
+  }
+  
+  groupSubtitles(shown).forEach(group => listContainer.appendChild(createHistoryGroup(group)));
 }
 
 async function refreshList() {
@@ -187,6 +751,63 @@ async function refreshList() {
   }
 }
 
+async function mergeSelected() {
+  const files = Array.from(selectedFiles.values());
+  if (files.length !== 2) return;
+  
+  const formatSelect = mergeFormatSlot.querySelector('select');
+  
+  try {
+    mergeBtn.disabled = true;
+    mergeBtn.innerHTML = '⏳ Merging...';
+    
+    const response = await new Promise((resolve) => {
+      chrome.runtime.sendMessage({
+        type: 'mergeSubtitles',
+        ids: files.map(file => file.id),
+        mode: mergeModeSelect.value,
+        format: formatSelect.value
+      }, resolve);
+    });
+    
+    if (!response?.success) {
+      throw new Error(response?.error || 'Merge failed');
+    }
+    
+    mergeBtn.innerHTML = '✅ Merged';
+    selectedFiles.clear();
+    setTimeout(() => refreshList(), 1500);
+  } catch (error) {
+    console.error('Merge error:', error);
+    alert('Failed to merge subtitles: ' + error.message);
+  } finally {
+    setTimeout(() => {
+      mergeBtn.innerHTML = '<span class="btn-icon">🔀</span> Merge';
+      updateMergeBar();
+    }, 1500);
+  }
+}
+
+function setupMergeControls() {
+  Object.entries(MERGE_MODES).forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    mergeModeSelect.appendChild(option);
+  });
+  
+  const formatSelect = createFormatSelect(false);
+  formatSelect.title = 'Output format for stacked merges';
+  formatSelect.value = 'srt';
+  mergeFormatSlot.appendChild(formatSelect);
+  
+  // ASS mode always writes .ass, so the format picker only applies to stacked output
+  mergeModeSelect.addEventListener('change', () => {
+    mergeFormatSlot.style.display = mergeModeSelect.value === 'ass' ? 'none' : '';
+  });
+  mergeBtn.addEventListener('click', mergeSelected);
+}
+
 // Listen for new subtitle notifications
 chrome.runtime.onMessage.addListener((message) => {
   if (message.type === 'newSubtitle') {
@@ -217,8 +838,246 @@ chrome.runtime.onMessage.addListener((message) => {
   }
 });
 
+function renderSiteBar(site) {
+  activeSite = site;
+  if (!site?.hostname) {
+    siteBar.style.display = 'none';
+    return;
+  }
+  
+  siteBar.style.display = 'block';
+  siteName.textContent = `🌐 ${site.hostname}`;
+  siteName.title = site.listedPolicy ? `Listed as ${site.domain}` : 'Uses the default policy';
+  sitePolicySelect.value = site.listedPolicy || 'default';
+  
+  sitePending.style.display = site.pending > 0 ? 'flex' : 'none';
+  sitePendingText.textContent = `${site.pending} subtitle${site.pending !== 1 ? 's' : ''} waiting`;
+}
+
+async function refreshSiteBar() {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    activePageUrl = /^https?:/.test(tab?.url || '') ? tab.url : '';
+    if (!activePageUrl) {
+      renderSiteBar(null);
+      return;
+    }
+    
+    const response = await new Promise((resolve) => {
+      chrome.runtime.sendMessage({ type: 'getSitePolicy', pageUrl: activePageUrl }, resolve);
+    });
+    renderSiteBar(response?.success ? response : null);
+  } catch (error) {
+    console.error('Site policy error:', error);
+    renderSiteBar(null);
+  }
+}
+
+function setupSiteControls() {
+  const options = { default: 'Default', ...SITE_POLICIES };
+  Object.entries(options).forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    sitePolicySelect.appendChild(option);
+  });
+  
+  sitePolicySelect.addEventListener('change', async () => {
+    const policy = sitePolicySelect.value === 'default' ? null : sitePolicySelect.value;
+    const response = await new Promise((resolve) => {
+      chrome.runtime.sendMessage({ type: 'setSitePolicy', pageUrl: activePageUrl, policy }, resolve);
+    });
+    
+    if (!response?.success) {
+      alert('Failed to change the site policy: ' + (response?.error || 'Unknown error'));
+      await refreshSiteBar();
+      return;
+    }
+    renderSiteBar(response);
+    // Switching to "always" captures what was waiting
+    await refreshList();
+  });
+  
+  capturePendingBtn.addEventListener('click', async () => {
+    capturePendingBtn.disabled = true;
+    capturePendingBtn.textContent = '⏳ Capturing...';
+    
+    await new Promise((resolve) => {
+      chrome.runtime.sendMessage({ type: 'capturePending', hostname: activeSite?.hostname }, resolve);
+    });
+    
+    capturePendingBtn.textContent = 'Capture';
+    capturePendingBtn.disabled = false;
+    await refreshSiteBar();
+    await refreshList();
+  });
+  
+  dismissPendingBtn.addEventListener('click', async () => {
+    await new Promise((resolve) => {
+      chrome.runtime.sendMessage({ type: 'dismissPending', hostname: activeSite?.hostname }, resolve);
+    });
+    await refreshSiteBar();
+  });
+}
+
+function setupHistoryFilters() {
+  Object.entries(HISTORY_DATE_RANGES).forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    dateFilter.appendChild(option);
+  });
+  
+  [sourceFilter, languageFilter, dateFilter].forEach(select => {
+    select.addEventListener('change', () => renderList(historyEntries));
+  });
+}
+
+// Send to the content scripts of the active tab; undefined when no frame answers
+async function sendToActiveTab(message) {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab?.id) return undefined;
+  
+  return new Promise((resolve) => {
+    chrome.tabs.sendMessage(tab.id, message, (response) => {
+      resolve(chrome.runtime.lastError ? undefined : response);
+    });
+  });
+}
+
+function showRecorderStatus(message, type) {
+  recorderStatus.style.display = 'block';
+  recorderStatus.className = `extraction-status ${type}`;
+  recorderStatus.textContent = message;
+}
+
+function renderRecorderState(state) {
+  const recording = Boolean(state?.recording);
+  recordBtn.innerHTML = recording ? '⏹️ Stop & Save' : '⏺️ Record';
+  recordBtn.className = recording ? 'btn btn-danger' : 'btn btn-primary';
+  recorderSelector.disabled = recording;
+  pickElementBtn.disabled = recording;
+  
+  clearInterval(recorderTimer);
+  recorderTimer = null;
+  if (recording) {
+    recorderSelector.value = state.selector;
+    showRecorderStatus(`Recording: ${state.cueCount} cue${state.cueCount !== 1 ? 's' : ''} so far`, 'loading');
+    recorderTimer = setInterval(refreshRecorderState, 2000);
+  }
+}
+
+async function refreshRecorderState() {
+  const state = await sendToActiveTab({ type: 'getCaptionRecording' });
+  if (!recorderTimer && !state?.recording && !recorderSelector.value) {
+    recorderSelector.value = captionSelectorFor(activePageUrl);
+  }
+  if (!state?.recording && recorderTimer) {
+    // The tab navigated away or the recording was stopped elsewhere
+    recorderStatus.style.display = 'none';
+  }
+  renderRecorderState(state);
+}
+
+async function toggleRecording() {
+  recordBtn.disabled = true;
+  try {
+    const state = await sendToActiveTab({ type: 'getCaptionRecording' });
+    
+    if (state?.recording) {
+      const response = await sendToActiveTab({ type: 'stopCaptionRecording', format: recorderFormat.value });
+      renderRecorderState(null);
+      if (!response?.success) {
+        throw new Error(response?.error || 'The recording could not be saved');
+      }
+      showRecorderStatus(`✅ Saved ${response.name} (${response.cueCount} cues)`, 'success');
+      await refreshList();
+      return;
+    }
+    
+    // Empty uses the element saved for the site of each frame
+    const selector = recorderSelector.value.trim();
+    const response = await sendToActiveTab({ type: 'startCaptionRecording', selector });
+    if (!response) {
+      throw new Error(selector
+        ? 'No element on this page matches that selector'
+        : 'No caption element saved for this site yet; pick one first');
+    }
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+    await refreshRecorderState();
+  } catch (error) {
+    console.error('Recorder error:', error);
+    showRecorderStatus(`❌ ${error.message}`, 'error');
+  } finally {
+    recordBtn.disabled = false;
+  }
+}
+
+function setupRecorderControls() {
+  RECORDER_FORMATS.forEach(format => {
+    const option = document.createElement('option');
+    option.value = format;
+    option.textContent = SUBTITLE_FORMATS[format].label;
+    recorderFormat.appendChild(option);
+  });
+  
+  // The popup closes so the page can be pointed at
+  pickElementBtn.addEventListener('click', async () => {
+    const response = await sendToActiveTab({ type: 'startElementPicker' });
+    if (response?.success) {
+      window.close();
+    } else {
+      showRecorderStatus('❌ The picker is not available on this page (try reloading it)', 'error');
+    }
+  });
+  
+  recordBtn.addEventListener('click', toggleRecording);
+  recorderSelector.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') toggleRecording();
+  });
+}
+
 // Event listeners
 refreshBtn.addEventListener('click', refreshList);
+previewSearch.addEventListener('input', renderCueTable);
+previewCloseBtn.addEventListener('click', hidePreview);
+
+// Selected entries when there are any, everything otherwise
+zipBtn.addEventListener('click', async () => {
+  try {
+    zipBtn.disabled = true;
+    zipBtn.innerHTML = '⏳ Zipping...';
+    
+    const response = await new Promise((resolve) => {
+      chrome.runtime.sendMessage({
+        type: 'downloadAllSubtitles',
+        bundle: true,
+        ids: Array.from(selectedFiles.keys())
+      }, resolve);
+    });
+    
+    if (!response?.success) {
+      throw new Error(response?.error || 'ZIP download failed');
+    }
+    if (response.errors?.length) {
+      console.warn('Skipped in ZIP:', response.errors);
+    }
+  } catch (error) {
+    console.error('ZIP error:', error);
+    alert('Failed to build ZIP: ' + error.message);
+  } finally {
+    zipBtn.innerHTML = '📦 ZIP';
+    zipBtn.disabled = false;
+  }
+});
+
+optionsBtn.addEventListener('click', () => chrome.runtime.openOptionsPage());
+
+searchPageBtn.addEventListener('click', () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL('search.html') });
+});
 
 clearBtn.addEventListener('click', async () => {
   if (!confirm('Are you sure you want to clear all captured subtitles?')) {
@@ -248,7 +1107,13 @@ clearBtn.addEventListener('click', async () => {
 });
 
 // Initialize
-refreshList();
+setupMergeControls();
+setupSiteControls();
+setupHistoryFilters();
+setupRecorderControls();
+Settings.load()
+  .catch(error => console.error('Settings error:', error))
+  .then(() => Promise.all([refreshList(), refreshSiteBar().then(refreshRecorderState)]));
 
 // YouTube extraction functionality
 function showExtractionStatus(message, type = 'loading') {
@@ -277,6 +1142,155 @@ function extractVideoIdFromUrl(url) {
   return null;
 }
 
+function describeTrack(track) {
+  const parts = [track.languageCode];
+  parts.push(track.kind === 'asr' ? 'Auto-generated' : 'Manual');
+  if (track.isTranslatable) parts.push('Translatable');
+  return parts.join(' • ');
+}
+
+// "Translate to" picker for translatable tracks; empty value keeps the original language
+function createTranslationSelect(translationLanguages, sourceLanguage) {
+  const select = document.createElement('select');
+  select.className = 'format-select translation-select';
+  select.title = 'Machine-translate this track';
+  
+  const none = document.createElement('option');
+  none.value = '';
+  none.textContent = 'No translation';
+  select.appendChild(none);
+  
+  translationLanguages
+    .filter(language => language.languageCode !== sourceLanguage)
+    .forEach(language => {
+      const option = document.createElement('option');
+      option.value = language.languageCode;
+      option.textContent = `→ ${language.name}`;
+      select.appendChild(option);
+    });
+  
+  select.addEventListener('click', (e) => e.stopPropagation());
+  return select;
+}
+
+function renderTrackPicker(title, tracks, translationLanguages = []) {
+  trackList.innerHTML = '';
+  trackPickerTitle.textContent = title || pickerVideo.videoId;
+  
+  tracks.forEach(track => {
+    const li = document.createElement('li');
+    li.className = 'track-item';
+    
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.className = 'track-checkbox';
+    checkbox.value = track.vssId;
+    checkbox.checked = track.kind !== 'asr';
+    
+    const label = document.createElement('label');
+    label.className = 'track-label';
+    
+    const nameSpan = document.createElement('span');
+    nameSpan.className = 'track-name';
+    nameSpan.textContent = track.name;
+    
+    const metaSpan = document.createElement('span');
+    metaSpan.className = 'track-meta';
+    metaSpan.textContent = describeTrack(track);
+    
+    label.appendChild(nameSpan);
+    label.appendChild(metaSpan);
+    if (track.isTranslatable && translationLanguages.length > 0) {
+      label.appendChild(createTranslationSelect(translationLanguages, track.languageCode));
+    }
+    label.addEventListener('click', () => {
+      checkbox.checked = !checkbox.checked;
+    });
+    
+    const formatSelect = createFormatSelect(false);
+    formatSelect.value = 'vtt';
+    
+    li.appendChild(checkbox);
+    li.appendChild(label);
+    li.appendChild(formatSelect);
+    trackList.appendChild(li);
+  });
+  
+  trackPicker.style.display = 'block';
+}
+
+// Step one: ask the background which caption tracks the video has
+async function showTrackPicker(videoId, tabInfo) {
+  trackPicker.style.display = 'none';
+  
+  const response = await new Promise((resolve) => {
+    chrome.runtime.sendMessage({ type: 'listYouTubeTracks', videoId }, resolve);
+  });
+  
+  if (!response?.success) {
+    throw new Error(response?.error || 'Failed to list caption tracks');
+  }
+  if (response.tracks.length === 0) {
+    throw new Error('This video has no caption tracks');
+  }
+  
+  pickerVideo = {
+    videoId,
+    tabInfo: {
+      title: response.title || tabInfo.title,
+      url: tabInfo.url
+    }
+  };
+  renderTrackPicker(response.title, response.tracks, response.translationLanguages);
+  return response.tracks;
+}
+
+// Step two: fetch the checked tracks in their chosen formats
+async function fetchSelectedTracks() {
+  if (!pickerVideo) return;
+  
+  const selections = Array.from(trackList.querySelectorAll('.track-item'))
+    .filter(item => item.querySelector('.track-checkbox').checked)
+    .map(item => ({
+      vssId: item.querySelector('.track-checkbox').value,
+      format: item.querySelector('.format-select:not(.translation-select)').value,
+      translateTo: item.querySelector('.translation-select')?.value || ''
+    }));
+  
+  if (selections.length === 0) {
+    showExtractionStatus('❌ Select at least one track', 'error');
+    return;
+  }
+  
+  try {
+    fetchTracksBtn.disabled = true;
+    fetchTracksBtn.innerHTML = '⏳ Fetching...';
+    showExtractionStatus(`⬇️ Fetching ${selections.length} track${selections.length !== 1 ? 's' : ''}...`, 'loading');
+    
+    const response = await new Promise((resolve) => {
+      chrome.runtime.sendMessage({
+        type: 'extractYouTubeTracks',
+        videoId: pickerVideo.videoId,
+        tabInfo: pickerVideo.tabInfo,
+        selections
+      }, resolve);
+    });
+    
+    if (response?.success) {
+      showExtractionStatus(`✅ Saved ${response.fetched} of ${response.requested} tracks`, 'success');
+      refreshList();
+    } else {
+      throw new Error(response?.error || 'Failed to fetch tracks');
+    }
+  } catch (error) {
+    console.error('Track fetch error:', error);
+    showExtractionStatus(`❌ ${error.message}`, 'error');
+  } finally {
+    fetchTracksBtn.innerHTML = '<span class="btn-icon">⬇️</span> Fetch Selected';
+    fetchTracksBtn.disabled = false;
+  }
+}
+
 async function extractFromCurrentTab() {
   try {
     extractCurrentBtn.disabled = true;
@@ -285,21 +1299,14 @@ async function extractFromCurrentTab() {
     
     // Get current tab
     const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const videoId = tab?.url && tab.url.includes('youtube.com') ? extractVideoIdFromUrl(tab.url) : null;
     
-    if (!tab.url || !tab.url.includes('youtube.com')) {
+    if (!videoId) {
       throw new Error('Current tab is not a YouTube video page');
     }
     
-    const response = await new Promise((resolve) => {
-      chrome.runtime.sendMessage({ type: 'extractCurrentTab' }, resolve);
-    });
-    
-    if (response?.success) {
-      showExtractionStatus(`✅ Successfully started extraction for video: ${response.videoId}`, 'success');
-      setTimeout(() => refreshList(), 2000);
-    } else {
-      throw new Error(response?.error || 'Failed to extract from current tab');
-    }
+    const tracks = await showTrackPicker(videoId, { title: tab.title, url: tab.url });
+    showExtractionStatus(`✅ Found ${tracks.length} caption track${tracks.length !== 1 ? 's' : ''}. Pick the ones to fetch.`, 'success');
   } catch (error) {
     console.error('Current tab extraction error:', error);
     showExtractionStatus(`❌ ${error.message}`, 'error');
@@ -323,23 +1330,15 @@ async function extractFromUrl() {
     
     extractUrlBtn.disabled = true;
     extractUrlBtn.innerHTML = '⏳ Extracting...';
-    showExtractionStatus(`🔍 Starting advanced extraction for video: ${videoId}...`, 'loading');
+    showExtractionStatus(`🔍 Looking up caption tracks for video: ${videoId}...`, 'loading');
     
-    const response = await new Promise((resolve) => {
-      chrome.runtime.sendMessage({ 
-        type: 'extractYouTubeVideo', 
-        videoId: videoId,
-        tabInfo: { title: `YouTube Video ${videoId}`, url: `https://www.youtube.com/watch?v=${videoId}` }
-      }, resolve);
+    const tracks = await showTrackPicker(videoId, {
+      title: `YouTube Video ${videoId}`,
+      url: `https://www.youtube.com/watch?v=${videoId}`
     });
     
-    if (response?.success) {
-      showExtractionStatus(`✅ Advanced extraction initiated for ${videoId}. Check back in a few moments.`, 'success');
-      youtubeUrlInput.value = '';
-      setTimeout(() => refreshList(), 3000);
-    } else {
-      throw new Error(response?.error || 'Failed to extract subtitles');
-    }
+    showExtractionStatus(`✅ Found ${tracks.length} caption track${tracks.length !== 1 ? 's' : ''}. Pick the ones to fetch.`, 'success');
+    youtubeUrlInput.value = '';
   } catch (error) {
     console.error('URL extraction error:', error);
     showExtractionStatus(`❌ ${error.message}`, 'error');
@@ -393,6 +1392,7 @@ chrome.runtime.onMessage.addListener((message) => {
 // YouTube extraction event listeners
 extractCurrentBtn.addEventListener('click', extractFromCurrentTab);
 extractUrlBtn.addEventListener('click', extractFromUrl);
+fetchTracksBtn.addEventListener('click', fetchSelectedTracks);
 
 // Enter key support for URL input
 youtubeUrlInput.addEventListener('keypress', (e) => {
@@ -0,0 +1,132 @@
+const searchForm = document.getElementById('searchForm');
+const searchInput = document.getElementById('searchInput');
+const searchBtn = document.getElementById('searchBtn');
+const searchSummary = document.getElementById('searchSummary');
+const searchResults = document.getElementById('searchResults');
+
+// Cue text with the first occurrence of the query highlighted, matched as the search matched it
+// (case, diacritics and runs of whitespace ignored)
+function renderMatchText(element, text, query) {
+  const match = findNormalizedMatch(text, query);
+  if (!match) {
+    element.textContent = text;
+    return;
+  }
+
+  const mark = document.createElement('mark');
+  mark.textContent = text.slice(match.start, match.end);
+  element.append(text.slice(0, match.start), mark, text.slice(match.end));
+}
+
+function renderResults(response, query) {
+  searchResults.innerHTML = '';
+
+  if (response.total === 0) {
+    searchSummary.textContent = `No cues contain "${query}"`;
+    return;
+  }
+
+  const shown = response.results.length < response.total ? ` (showing first ${response.results.length})` : '';
+  searchSummary.textContent = `${response.total} cue${response.total !== 1 ? 's' : ''} in ${response.subtitleCount} subtitle${response.subtitleCount !== 1 ? 's' : ''}${shown}`;
+
+  response.results.forEach(result => {
+    const li = document.createElement('li');
+
+    const headerDiv = document.createElement('div');
+    headerDiv.className = 'search-result-header';
+
+    // The timestamp doubles as the link back to the page the subtitle came from
+    const time = document.createElement(result.link ? 'a' : 'span');
+    time.className = 'search-result-time';
+    time.textContent = formatClockTime(result.start, 'vtt');
+    if (result.link) {
+      time.href = result.link;
+      time.target = '_blank';
+      time.rel = 'noopener';
+      time.title = 'Open the video at this cue';
+    }
+
+    const nameDiv = document.createElement('div');
+    nameDiv.className = 'search-result-name';
+    nameDiv.textContent = result.name;
+    nameDiv.title = result.name;
+
+    headerDiv.appendChild(time);
+    headerDiv.appendChild(nameDiv);
+    li.appendChild(headerDiv);
+
+    const meta = [result.pageTitle, result.source, result.language].filter(Boolean).join(' • ');
+    if (meta) {
+      const metaDiv = document.createElement('div');
+      metaDiv.className = 'search-result-meta';
+      metaDiv.textContent = meta;
+      li.appendChild(metaDiv);
+    }
+
+    if (result.before.length) {
+      const beforeDiv = document.createElement('div');
+      beforeDiv.className = 'search-context';
+      beforeDiv.textContent = result.before.join('\n');
+      li.appendChild(beforeDiv);
+    }
+
+    const matchDiv = document.createElement('div');
+    matchDiv.className = 'search-match';
+    renderMatchText(matchDiv, result.text, query);
+    li.appendChild(matchDiv);
+
+    if (result.after.length) {
+      const afterDiv = document.createElement('div');
+      afterDiv.className = 'search-context';
+      afterDiv.textContent = result.after.join('\n');
+      li.appendChild(afterDiv);
+    }
+
+    searchResults.appendChild(li);
+  });
+}
+
+async function runSearch(query) {
+  if (!query) {
+    searchSummary.textContent = '';
+    searchResults.innerHTML = '';
+    return;
+  }
+
+  try {
+    searchBtn.disabled = true;
+    searchSummary.textContent = '⏳ Searching...';
+
+    const response = await new Promise((resolve) => {
+      chrome.runtime.sendMessage({ type: 'searchSubtitles', query }, resolve);
+    });
+    if (!response?.success) {
+      throw new Error(response?.error || 'Search failed');
+    }
+
+    renderResults(response, query);
+  } catch (error) {
+    console.error('Search error:', error);
+    searchSummary.textContent = `⚠️ ${error.message}`;
+    searchResults.innerHTML = '';
+  } finally {
+    searchBtn.disabled = false;
+  }
+}
+
+searchForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  const query = searchInput.value.trim();
+
+  // Keep the query in the address so the page can be reloaded or bookmarked
+  const pageUrl = new URL(location.href);
+  pageUrl.searchParams.set('q', query);
+  history.replaceState(null, '', pageUrl);
+
+  runSearch(query);
+});
+
+// Initialize
+const initialQuery = new URLSearchParams(location.search).get('q') || '';
+searchInput.value = initialQuery;
+runSearch(initialQuery.trim());
@@ -0,0 +1,147 @@
+// User settings kept in chrome.storage.sync. Loaded by the background worker,
+// content scripts and extension pages alike; every copy follows changes made
+// elsewhere through storage.onChanged, so nothing needs a reload.
+
+const SETTINGS_DEFAULTS = {
+  // Capture
+  autoCapture: true,
+  defaultSitePolicy: 'always',
+  sitePolicies: {},
+  maxRetries: 2,
+  youtubeAutoExtract: true,
+  youtubeAutoExtractDelay: 3,
+  preferredLanguages: [],
+  // Caption element per domain for the DOM recorder
+  captionSelectors: {},
+
+  // Export
+  defaultExportFormat: 'original',
+  exportBom: false,
+  filenameTemplate: '',
+
+  // Retention (0 keeps everything)
+  maxStoredSubtitles: 0,
+  maxSubtitleAgeDays: 0,
+
+  debugLogging: true
+};
+
+class Settings {
+  static values = { ...SETTINGS_DEFAULTS };
+  static loaded = null;
+  static listeners = new Set();
+
+  static load() {
+    if (!this.loaded) {
+      this.loaded = chrome.storage.sync.get(SETTINGS_DEFAULTS)
+        .then(stored => {
+          this.values = { ...SETTINGS_DEFAULTS, ...stored };
+          return this.values;
+        })
+        .catch(error => {
+          this.loaded = null;
+          throw error;
+        });
+    }
+    return this.loaded;
+  }
+
+  static get(key) {
+    return this.values[key];
+  }
+
+  static async save(changes) {
+    const known = Object.fromEntries(Object.entries(changes).filter(([key]) => key in SETTINGS_DEFAULTS));
+    await chrome.storage.sync.set(known);
+  }
+
+  static async reset() {
+    await chrome.storage.sync.remove(Object.keys(SETTINGS_DEFAULTS));
+  }
+
+  // fn(changedKeys, values) after any setting changes
+  static onChange(fn) {
+    this.listeners.add(fn);
+    return () => this.listeners.delete(fn);
+  }
+
+  static handleStorageChange(changes, areaName) {
+    if (areaName !== 'sync') return;
+    const keys = Object.keys(changes).filter(key => key in SETTINGS_DEFAULTS);
+    if (keys.length === 0) return;
+
+    for (const key of keys) {
+      this.values[key] = changes[key].newValue !== undefined ? changes[key].newValue : SETTINGS_DEFAULTS[key];
+    }
+    this.listeners.forEach(fn => fn(keys, this.values));
+  }
+}
+
+chrome.storage.onChanged.addListener((changes, areaName) => Settings.handleStorageChange(changes, areaName));
+
+// Hostname of a page URL, or '' when it has none
+function siteHostname(pageUrl) {
+  try {
+    return new URL(pageUrl).hostname.toLowerCase();
+  } catch {
+    return '';
+  }
+}
+
+// What happens to subtitles found on a site
+const SITE_POLICIES = {
+  always: 'Always capture',
+  ask: 'Ask first',
+  never: 'Never capture'
+};
+
+// "https://www.Example.com/x" or "*.example.com" -> "example.com"-style domain keys
+function normalizeSiteDomain(site) {
+  const text = String(site || '').trim().toLowerCase();
+  return (siteHostname(text) || text).replace(/^\*?\./, '').replace(/^www\./, '').replace(/[\/:].*$/, '');
+}
+
+// "netflix.com" also covers "www.netflix.com"
+function hostMatchesSite(hostname, site) {
+  const domain = normalizeSiteDomain(site);
+  return Boolean(domain) && (hostname === domain || hostname.endsWith(`.${domain}`));
+}
+
+// Domain of a { domain: value } setting that covers a page (the most specific one), or ''
+function matchingDomainIn(key, pageUrl) {
+  const hostname = siteHostname(pageUrl);
+  if (!hostname) return '';
+  return Object.keys(Settings.get(key))
+    .filter(site => hostMatchesSite(hostname, site))
+    .sort((a, b) => b.length - a.length)[0] || '';
+}
+
+// Listed domain that decides the capture policy for a page, or ''
+function matchingSiteDomain(pageUrl) {
+  return matchingDomainIn('sitePolicies', pageUrl);
+}
+
+// 'always', 'ask' or 'never' for subtitles seen on a page
+function sitePolicyFor(pageUrl) {
+  if (!Settings.get('autoCapture')) return 'never';
+  const domain = matchingSiteDomain(pageUrl);
+  const policy = domain ? Settings.get('sitePolicies')[domain] : Settings.get('defaultSitePolicy');
+  return SITE_POLICIES[policy] ? policy : 'always';
+}
+
+// Saved caption element selector for a page, or ''
+function captionSelectorFor(pageUrl) {
+  const domain = matchingDomainIn('captionSelectors', pageUrl);
+  return domain ? Settings.get('captionSelectors')[domain] : '';
+}
+
+// Does a track language match the preferred list? "en" covers "en-US"; an empty list takes everything
+function isPreferredLanguage(languageCode) {
+  const preferred = Settings.get('preferredLanguages');
+  if (!preferred.length) return true;
+  const code = String(languageCode || '').toLowerCase();
+  return preferred.some(language => {
+    const wanted = String(language).toLowerCase();
+    return code === wanted || code.startsWith(`${wanted}-`);
+  });
+}
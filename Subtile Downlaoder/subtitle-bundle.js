@@ -0,0 +1,186 @@
+// ZIP bundles of stored subtitles: one archive instead of a save prompt per file.
+// Files are laid out as Source/Show/Season NN/name (see parseEpisodeInfo) and
+// indexed in a manifest.json.
+// The ZIP writer is minimal: UTF-8 names, deflate through CompressionStream when
+// the browser has it, stored entries otherwise, no ZIP64.
+
+const BUNDLE_MANIFEST_NAME = 'manifest.json';
+
+// Longest folder name taken from a page title
+const MAX_BUNDLE_FOLDER_LENGTH = 80;
+
+let crcTable = null;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS date and time fields (local time, 2 second resolution)
+function dosDateTime(timestamp) {
+  const date = new Date(timestamp || Date.now());
+  const year = Math.max(1980, date.getFullYear());
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+async function deflateRaw(bytes) {
+  if (typeof CompressionStream === 'undefined') return null;
+  try {
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  } catch {
+    return null;
+  }
+}
+
+// entries: [{ path, data (string or Uint8Array), timestamp }] -> Uint8Array
+async function createZip(entries) {
+  const encoder = new TextEncoder();
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = encoder.encode(entry.path);
+    const data = typeof entry.data === 'string' ? encoder.encode(entry.data) : entry.data;
+    const crc = crc32(data);
+    const deflated = await deflateRaw(data);
+    // Keep whichever is smaller; tiny files often grow when deflated
+    const compressed = deflated && deflated.length < data.length ? deflated : data;
+    const method = compressed === data ? 0 : 8;
+    const { time, date } = dosDateTime(entry.timestamp);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true); // names are UTF-8
+    local.setUint16(8, method, true);
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, compressed.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, method, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, date, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, compressed.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+
+    localParts.push(new Uint8Array(local.buffer), name, compressed);
+    centralParts.push(new Uint8Array(central.buffer), name);
+    offset += 30 + name.length + compressed.length;
+  }
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, entries.length, true);
+  end.setUint16(10, entries.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+  const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let position = 0;
+  for (const part of parts) {
+    zip.set(part, position);
+    position += part.length;
+  }
+  return zip;
+}
+
+function bytesToBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function sanitizePathSegment(segment) {
+  return String(segment || '')
+    .replace(/[\/\\?%*:|"<>\u0000-\u001f]/g, '-')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, MAX_BUNDLE_FOLDER_LENGTH)
+    .replace(/^[.\s]+|[.\s]+$/g, '');
+}
+
+// Folders for a record: [source, show, season?]
+function bundleFoldersFor(record) {
+  const { show, season } = parseEpisodeInfo(record.pageTitle);
+  const folders = [sanitizePathSegment(record.source) || 'Generic'];
+
+  folders.push(sanitizePathSegment(show) || 'Unknown show');
+  if (season) folders.push(`Season ${season}`);
+  return folders;
+}
+
+// Paths inside the archive; names are made unique per folder
+function assignBundlePaths(files) {
+  const used = new Set();
+  return files.map(file => {
+    const folder = bundleFoldersFor(file.record).join('/');
+    const name = sanitizePathSegment(file.filename) || 'subtitle';
+    let path = `${folder}/${name}`;
+    for (let copy = 2; used.has(path.toLowerCase()); copy++) {
+      path = `${folder}/${name.replace(/(\.[^.]*)?$/, ` (${copy})$1`)}`;
+    }
+    used.add(path.toLowerCase());
+    return path;
+  });
+}
+
+// files: [{ record, filename, text }] -> Uint8Array of the ZIP with its manifest.json
+async function buildSubtitleBundle(files) {
+  const paths = assignBundlePaths(files);
+  const manifest = {
+    generatedAt: new Date().toISOString(),
+    count: files.length,
+    files: files.map(({ record }, index) => ({
+      path: paths[index],
+      name: record.name,
+      source: record.source || 'Generic',
+      url: record.url || '',
+      pageUrl: record.pageUrl || '',
+      pageTitle: record.pageTitle || '',
+      videoId: record.videoId || '',
+      language: record.language || '',
+      format: record.format || '',
+      capturedAt: record.timestamp ? new Date(record.timestamp).toISOString() : ''
+    }))
+  };
+
+  return createZip([
+    ...files.map(({ record, text }, index) => ({ path: paths[index], data: text, timestamp: record.timestamp })),
+    { path: BUNDLE_MANIFEST_NAME, data: `${JSON.stringify(manifest, null, 2)}\n` }
+  ]);
+}
@@ -0,0 +1,258 @@
+// MPEG-DASH text tracks: manifest parsing, segment addressing and assembly.
+// Unencrypted text AdaptationSets are resolved per Period to a sidecar file or
+// a list of segment URLs (BaseURL, SegmentTemplate, SegmentList), then grouped
+// so each language ends up as one file across all Periods.
+
+// Upper bound on segments generated for one Representation
+const MAX_DASH_SEGMENTS = 5000;
+
+// ISO 8601 duration ("PT1H2M3.5S", "P1DT2H") -> ms, or null
+function parseIsoDuration(value) {
+  const match = String(value || '').match(/^P(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/);
+  if (!match) return null;
+
+  const [days, hours, minutes, seconds] = match.slice(1).map(part => parseFloat(part) || 0);
+  return Math.round((((days * 24 + hours) * 60 + minutes) * 60 + seconds) * 1000);
+}
+
+// Which text format a Representation carries ('vtt' or 'ttml'), whether as text or inside fragmented MP4
+function dashTextFormat(mimeType, codecs) {
+  const mime = String(mimeType || '').toLowerCase();
+  const codec = String(codecs || '').toLowerCase();
+
+  if (mime === 'text/vtt') return 'vtt';
+  if (mime === 'application/ttml+xml' || (mime === 'application/xml' && codec.startsWith('stpp'))) return 'ttml';
+  if (mime === 'application/mp4' && codec.startsWith('wvtt')) return 'vtt';
+  if (mime === 'application/mp4' && codec.startsWith('stpp')) return 'ttml';
+  return null;
+}
+
+// $RepresentationID$, $Number%05d$, $Time$, $Bandwidth$ and $$
+function fillDashTemplate(template, values) {
+  return String(template || '').replace(/\$(RepresentationID|Number|Time|Bandwidth|)(?:%0(\d+)d)?\$/g, (token, name, width) => {
+    if (!name) return '$';
+    const value = String(values[name] ?? '');
+    return width ? value.padStart(Number(width), '0') : value;
+  });
+}
+
+function resolveDashBaseUrl(element, base) {
+  const baseUrl = findXmlChildren(element, 'BaseURL')[0];
+  const value = baseUrl ? xmlTextContent(baseUrl).trim() : '';
+  return value ? new URL(value, base).href : base;
+}
+
+// SegmentTemplate attributes inherited Period -> AdaptationSet -> Representation
+function mergeSegmentTemplates(elements) {
+  let merged = null;
+  for (const element of elements) {
+    const template = findXmlChildren(element, 'SegmentTemplate')[0];
+    if (!template) continue;
+    merged = {
+      attrs: { ...(merged?.attrs || {}), ...template.attrs },
+      timeline: findXmlChildren(template, 'SegmentTimeline')[0] || merged?.timeline || null
+    };
+  }
+  return merged;
+}
+
+function dashTemplateSegments(template, representation, base, periodDuration) {
+  const { attrs, timeline } = template;
+  const timescale = Number(attrs.timescale) || 1;
+  const startNumber = attrs.startNumber !== undefined ? Number(attrs.startNumber) : 1;
+  const offsetTime = Number(attrs.presentationTimeOffset) || 0;
+  const values = { RepresentationID: representation.id, Bandwidth: representation.bandwidth };
+  const segments = [];
+  const push = (number, time) => {
+    segments.push(new URL(fillDashTemplate(attrs.media, { ...values, Number: number, Time: time }), base).href);
+  };
+
+  if (timeline) {
+    const entries = findXmlChildren(timeline, 'S');
+    let time = 0;
+    let number = startNumber;
+
+    entries.forEach((entry, index) => {
+      if (entry.attrs.t !== undefined) time = Number(entry.attrs.t);
+      const duration = Number(entry.attrs.d);
+      if (!duration) return;
+
+      let repeat = Number(entry.attrs.r) || 0;
+      if (repeat < 0) {
+        // Negative repeat runs until the next S@t or the end of the Period
+        const next = entries[index + 1];
+        const end = next?.attrs.t !== undefined
+          ? Number(next.attrs.t)
+          : offsetTime + (periodDuration || 0) * timescale / 1000;
+        repeat = Math.max(0, Math.ceil((end - time) / duration) - 1);
+      }
+
+      for (let i = 0; i <= repeat && segments.length < MAX_DASH_SEGMENTS; i++) {
+        push(number, time);
+        time += duration;
+        number++;
+      }
+    });
+  } else if (attrs.duration) {
+    const segmentDuration = Number(attrs.duration) / timescale * 1000;
+    const count = periodDuration ? Math.ceil(periodDuration / segmentDuration) : 1;
+    for (let i = 0; i < Math.min(count, MAX_DASH_SEGMENTS); i++) {
+      push(startNumber + i, i * Number(attrs.duration));
+    }
+  }
+
+  return segments;
+}
+
+function dashListSegments(segmentList, base) {
+  return findXmlChildren(segmentList, 'SegmentURL')
+    .map(segment => xmlAttr(segment, 'media'))
+    .map(media => (media ? new URL(media, base).href : base))
+    .slice(0, MAX_DASH_SEGMENTS);
+}
+
+function hasContentProtection(element) {
+  return findXmlChildren(element, 'ContentProtection').length > 0;
+}
+
+// Text tracks of an MPD, one entry per AdaptationSet and Period
+function parseDashManifest(text, manifestUrl) {
+  const mpd = findXmlElement(parseXml(text), 'MPD');
+  if (!mpd) return { tracks: [] };
+
+  const mpdBase = resolveDashBaseUrl(mpd, manifestUrl);
+  const totalDuration = parseIsoDuration(xmlAttr(mpd, 'mediaPresentationDuration'));
+  const periods = findXmlChildren(mpd, 'Period');
+  const tracks = [];
+  let nextStart = 0;
+
+  periods.forEach((period, periodIndex) => {
+    const periodStart = parseIsoDuration(xmlAttr(period, 'start')) ?? nextStart;
+    const followingStart = parseIsoDuration(xmlAttr(periods[periodIndex + 1], 'start'));
+    const periodDuration = parseIsoDuration(xmlAttr(period, 'duration')) ??
+      (followingStart !== null ? followingStart - periodStart : (totalDuration !== null ? totalDuration - periodStart : null));
+    nextStart = periodStart + (periodDuration || 0);
+
+    const periodBase = resolveDashBaseUrl(period, mpdBase);
+
+    for (const adaptationSet of findXmlChildren(period, 'AdaptationSet')) {
+      if (hasContentProtection(adaptationSet)) continue;
+
+      const setBase = resolveDashBaseUrl(adaptationSet, periodBase);
+      const label = findXmlChildren(adaptationSet, 'Label')[0];
+      const roles = findXmlChildren(adaptationSet, 'Role').map(role => xmlAttr(role, 'value')).filter(Boolean);
+
+      const representation = findXmlChildren(adaptationSet, 'Representation').find(candidate =>
+        !hasContentProtection(candidate) &&
+        dashTextFormat(xmlAttr(candidate, 'mimeType') || xmlAttr(adaptationSet, 'mimeType'),
+          xmlAttr(candidate, 'codecs') || xmlAttr(adaptationSet, 'codecs'))
+      );
+      if (!representation) continue;
+
+      const mimeType = xmlAttr(representation, 'mimeType') || xmlAttr(adaptationSet, 'mimeType');
+      const codecs = xmlAttr(representation, 'codecs') || xmlAttr(adaptationSet, 'codecs') || '';
+      const base = resolveDashBaseUrl(representation, setBase);
+      const info = { id: xmlAttr(representation, 'id') || '', bandwidth: xmlAttr(representation, 'bandwidth') || '' };
+
+      const template = mergeSegmentTemplates([period, adaptationSet, representation]);
+      const segmentList = findXmlChildren(representation, 'SegmentList')[0] || findXmlChildren(adaptationSet, 'SegmentList')[0];
+
+      let segments;
+      let initialization = '';
+      let timescale = 1;
+      let offsetTime = 0;
+      if (template?.attrs.media) {
+        segments = dashTemplateSegments(template, info, base, periodDuration);
+        if (template.attrs.initialization) {
+          initialization = new URL(fillDashTemplate(template.attrs.initialization, { RepresentationID: info.id, Bandwidth: info.bandwidth }), base).href;
+        }
+        timescale = Number(template.attrs.timescale) || 1;
+        offsetTime = Number(template.attrs.presentationTimeOffset) || 0;
+      } else if (segmentList) {
+        segments = dashListSegments(segmentList, base);
+        const init = findXmlChildren(segmentList, 'Initialization')[0];
+        if (init && xmlAttr(init, 'sourceURL')) initialization = new URL(xmlAttr(init, 'sourceURL'), base).href;
+        timescale = Number(xmlAttr(segmentList, 'timescale')) || 1;
+        offsetTime = Number(xmlAttr(segmentList, 'presentationTimeOffset')) || 0;
+      } else {
+        // No segment information: the BaseURL is the whole (sidecar) file
+        segments = [base];
+      }
+
+      if (segments.length === 0) continue;
+
+      tracks.push({
+        periodIndex,
+        periodStart,
+        // Added to cue times to place them on the presentation timeline
+        offset: Math.round(periodStart - offsetTime / timescale * 1000),
+        language: xmlAttr(adaptationSet, 'lang') || xmlAttr(representation, 'lang') || '',
+        label: (label ? xmlTextContent(label).trim() : '') || xmlAttr(adaptationSet, 'label') || '',
+        roles,
+        mimeType,
+        codecs,
+        format: dashTextFormat(mimeType, codecs),
+        container: String(mimeType).toLowerCase() === 'application/mp4' ? 'mp4' : 'text',
+        representationId: info.id,
+        initialization,
+        segments,
+        sidecar: !template?.attrs.media && !segmentList
+      });
+    }
+  });
+
+  return { tracks };
+}
+
+// One group per language and role set, holding at most one track per Period
+function groupDashTracks(tracks) {
+  const groups = new Map();
+
+  for (const track of tracks) {
+    const key = [track.language || 'und', ...[...track.roles].sort()].join('|');
+    if (!groups.has(key)) {
+      groups.set(key, {
+        key,
+        language: track.language,
+        label: track.label,
+        roles: track.roles,
+        format: track.format,
+        parts: []
+      });
+    }
+
+    const group = groups.get(key);
+    if (!group.parts.some(part => part.periodIndex === track.periodIndex)) {
+      group.parts.push(track);
+    }
+  }
+
+  return [...groups.values()];
+}
+
+// Cue list of one Period's track from its downloaded data
+function dashPartCues(track, data) {
+  if (track.container === 'mp4') {
+    // data holds the init segment followed by the media segments
+    return parseMp4TextTrack(data)?.cues || [];
+  }
+  return track.format === 'vtt'
+    ? stitchWebVttSegments(data)
+    : data.flatMap(text => parseTtml(text));
+}
+
+// Cues of a group on one timeline; parts are [{ track, data }] with the
+// segment texts, or the init and media segment bytes for fragmented MP4
+function assembleDashCues(parts) {
+  const cues = [];
+
+  for (const { track, data } of parts) {
+    const partCues = dashPartCues(track, data);
+
+    for (const cue of partCues) {
+      cues.push({ ...cue, start: cue.start + track.offset, end: cue.end + track.offset });
+    }
+  }
+
+  return dedupeSegmentCues(cues);
+}
@@ -0,0 +1,158 @@
+// Charset detection and decoding for captured subtitle bytes.
+// Order of evidence: byte order mark, Content-Type charset, then content sniffing.
+// Decoded text is kept as a JS string and exported as UTF-8 (optionally with a BOM).
+
+// Legacy encodings tried when the bytes are not valid UTF-8, with the script
+// ranges their text is expected to fall into. Japanese text always carries
+// some kana, which keeps GBK bytes from passing as Shift_JIS and vice versa.
+const SNIFFED_ENCODINGS = [
+  {
+    encoding: 'shift_jis',
+    pattern: /[\u3000-\u30ff\u4e00-\u9fff\uff01-\uff5e]/g,
+    required: /[\u3040-\u30ff]/g
+  },
+  { encoding: 'gbk', pattern: /[\u3000-\u303f\u4e00-\u9fff\uff01-\uff5e]/g },
+  { encoding: 'windows-1252', pattern: /[\u00c0-\u00ff\u0152\u0153\u0160\u0161\u0178\u017d\u017e\u2018-\u201e\u2026]/g }
+];
+
+// Latin-1 is the usual wrong label on UTF-8 files, and windows-1252 (which
+// TextDecoder reads it as) accepts any bytes, so UTF-8 gets checked first
+const UTF8_FIRST_CHARSETS = ['windows-1252'];
+
+// Share of required-script characters (kana) among non-ASCII characters
+const MIN_REQUIRED_SHARE = 0.1;
+
+// Share of non-ASCII characters that must land in the expected script
+const MIN_SNIFF_SCORE = 0.6;
+
+function detectBom(bytes) {
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) return { encoding: 'utf-8', length: 3 };
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) return { encoding: 'utf-16le', length: 2 };
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) return { encoding: 'utf-16be', length: 2 };
+  return null;
+}
+
+// "text/vtt; charset=Shift_JIS" -> "shift_jis" (only labels TextDecoder knows)
+function charsetFromContentType(contentType) {
+  const match = String(contentType || '').match(/charset\s*=\s*"?([^";\s]+)/i);
+  if (!match) return null;
+
+  const label = match[1].toLowerCase();
+  try {
+    return new TextDecoder(label).encoding;
+  } catch {
+    return null;
+  }
+}
+
+// UTF-16 without a BOM shows up as a NUL in every other byte of ASCII text
+function sniffUtf16(bytes) {
+  const sample = bytes.subarray(0, Math.min(bytes.length, 2000));
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let i = 0; i < sample.length; i++) {
+    if (sample[i] === 0) {
+      if (i % 2 === 0) evenZeros++;
+      else oddZeros++;
+    }
+  }
+
+  const half = sample.length / 2;
+  if (half < 4) return null;
+  if (oddZeros / half > 0.3 && evenZeros / half < 0.05) return 'utf-16le';
+  if (evenZeros / half > 0.3 && oddZeros / half < 0.05) return 'utf-16be';
+  return null;
+}
+
+function tryDecode(bytes, encoding) {
+  try {
+    return new TextDecoder(encoding, { fatal: true }).decode(bytes);
+  } catch {
+    return null;
+  }
+}
+
+// Pick the legacy encoding whose output best matches its expected script
+function sniffLegacyEncoding(bytes) {
+  let best = null;
+
+  for (const candidate of SNIFFED_ENCODINGS) {
+    const text = tryDecode(bytes, candidate.encoding);
+    if (text === null) continue;
+
+    const nonAscii = text.replace(/[\x00-\x7f]/g, '').length;
+    if (nonAscii === 0) continue;
+
+    if (candidate.required) {
+      const required = (text.match(candidate.required) || []).length;
+      if (required / nonAscii < MIN_REQUIRED_SHARE) continue;
+    }
+
+    const matches = (text.match(candidate.pattern) || []).length;
+    const score = matches / nonAscii;
+    if (score >= MIN_SNIFF_SCORE && (!best || score > best.score)) {
+      best = { encoding: candidate.encoding, text, score };
+    }
+  }
+
+  return best;
+}
+
+// Decode subtitle bytes into { text, encoding, encodingSource, hadBom }
+function decodeSubtitleBytes(buffer, contentType = '') {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+
+  const bom = detectBom(bytes);
+  if (bom) {
+    return {
+      text: new TextDecoder(bom.encoding).decode(bytes.subarray(bom.length)),
+      encoding: bom.encoding,
+      encodingSource: 'bom',
+      hadBom: true
+    };
+  }
+
+  // A declared charset wins unless the bytes are clearly not in it
+  const declared = charsetFromContentType(contentType);
+  if (UTF8_FIRST_CHARSETS.includes(declared) && bytes.some(byte => byte > 0x7f)) {
+    const utf8 = tryDecode(bytes, 'utf-8');
+    if (utf8 !== null) {
+      return { text: utf8, encoding: 'utf-8', encodingSource: 'sniffed', hadBom: false };
+    }
+  }
+  if (declared) {
+    const text = tryDecode(bytes, declared);
+    if (text !== null) {
+      return { text, encoding: declared, encodingSource: 'content-type', hadBom: false };
+    }
+  }
+
+  const utf16 = sniffUtf16(bytes);
+  if (utf16) {
+    return { text: new TextDecoder(utf16).decode(bytes), encoding: utf16, encodingSource: 'sniffed', hadBom: false };
+  }
+
+  const utf8 = tryDecode(bytes, 'utf-8');
+  if (utf8 !== null) {
+    return { text: utf8, encoding: 'utf-8', encodingSource: 'sniffed', hadBom: false };
+  }
+
+  const legacy = sniffLegacyEncoding(bytes);
+  if (legacy) {
+    return { text: legacy.text, encoding: legacy.encoding, encodingSource: 'sniffed', hadBom: false };
+  }
+
+  // Nothing matched cleanly: windows-1252 maps every byte, so nothing is lost
+  return {
+    text: new TextDecoder('windows-1252').decode(bytes),
+    encoding: 'windows-1252',
+    encodingSource: 'fallback',
+    hadBom: false
+  };
+}
+
+// Data URL carrying text as UTF-8, with an optional byte order mark
+function utf8DataUrl(text, mimeType = 'text/plain', bom = false) {
+  const body = bom ? `\uFEFF${text}` : text;
+  return `data:${mimeType};charset=utf-8,${encodeURIComponent(body)}`;
+}
@@ -0,0 +1,851 @@
+// Subtitle parsing and serialization shared by the background worker and popup.
+// Every supported format is parsed into one cue model:
+//   { start, end, text, settings, style }
+// where start/end are milliseconds and text uses '\n' line breaks with only
+// <b>, <i> and <u> kept as inline markup.
+
+const SUBTITLE_FORMATS = {
+  srt: { label: 'SRT', extension: 'srt', mimeType: 'application/x-subrip' },
+  vtt: { label: 'WebVTT', extension: 'vtt', mimeType: 'text/vtt' },
+  ass: { label: 'ASS/SSA', extension: 'ass', mimeType: 'text/x-ssa' },
+  ttml: { label: 'TTML/DFXP', extension: 'ttml', mimeType: 'application/ttml+xml' },
+  sbv: { label: 'SBV', extension: 'sbv', mimeType: 'text/plain' },
+  txt: { label: 'Plain text', extension: 'txt', mimeType: 'text/plain' }
+};
+
+// Extensions that map onto one of the parsers above
+const FORMAT_ALIASES = {
+  webvtt: 'vtt',
+  ssa: 'ass',
+  dfxp: 'ttml',
+  xml: 'ttml',
+  subrip: 'srt',
+  text: 'txt'
+};
+
+function normalizeFormatName(format) {
+  if (!format) return '';
+  const lower = String(format).toLowerCase().replace(/^\./, '');
+  return FORMAT_ALIASES[lower] || lower;
+}
+
+// ---------------------------------------------------------------------------
+// Timestamps
+// ---------------------------------------------------------------------------
+
+// Parse "hh:mm:ss,mmm", "mm:ss.mmm", "h:mm:ss.cc" and similar clock values
+function parseClockTime(value) {
+  if (!value) return NaN;
+  const match = String(value).trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{1,2})(?:[,.](\d+))?$/);
+  if (!match) return NaN;
+
+  const hours = parseInt(match[1] || '0', 10);
+  const minutes = parseInt(match[2], 10);
+  const seconds = parseInt(match[3], 10);
+  // Fractions are scaled by their length so ASS centiseconds work too
+  const fraction = match[4] ? Math.round(parseFloat(`0.${match[4]}`) * 1000) : 0;
+
+  return ((hours * 60 + minutes) * 60 + seconds) * 1000 + fraction;
+}
+
+function pad(value, length = 2) {
+  return String(value).padStart(length, '0');
+}
+
+// Format milliseconds for a given target format
+function formatClockTime(ms, format = 'vtt') {
+  const total = Math.max(0, Math.round(ms || 0));
+  const hours = Math.floor(total / 3600000);
+  const minutes = Math.floor((total % 3600000) / 60000);
+  const seconds = Math.floor((total % 60000) / 1000);
+  const millis = total % 1000;
+
+  switch (format) {
+    case 'srt':
+      return `${pad(hours)}:${pad(minutes)}:${pad(seconds)},${pad(millis, 3)}`;
+    case 'ass':
+      return `${hours}:${pad(minutes)}:${pad(seconds)}.${pad(Math.floor(millis / 10))}`;
+    case 'sbv':
+      return `${hours}:${pad(minutes)}:${pad(seconds)}.${pad(millis, 3)}`;
+    default:
+      return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}.${pad(millis, 3)}`;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Cue text helpers
+// ---------------------------------------------------------------------------
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeXmlEntities(text) {
+  return String(text).replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (whole, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : whole;
+    }
+    const named = XML_ENTITIES[entity.toLowerCase()];
+    return named !== undefined ? named : whole;
+  });
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// WebVTT cue text with &, < and > escaped, except the <b>, <i> and <u> tags it may carry
+function escapeCueMarkup(text) {
+  return String(text)
+    .split(/(<\/?[biu]>)/)
+    .map((part, index) => index % 2 ? part : part.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;'))
+    .join('');
+}
+
+// SRT has no entities: keep & as is and turn stray < and > that are not
+// <b>, <i>, <u> or <font> tags into look-alikes players show as text
+function escapeSrtText(text) {
+  return String(text)
+    .split(/(<\/?[biu]>|<font\s[^<>]*>|<\/font>)/i)
+    .map((part, index) => index % 2 ? part : part.replace(/</g, '\u2039').replace(/>/g, '\u203A'))
+    .join('');
+}
+
+// Keep only <b>, <i> and <u>; drop every other tag and collapse blank lines
+function normalizeCueText(text) {
+  return String(text || '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/<(\/?)([biu])(?:\.[^\s>]*)?(?:\s[^>]*)?>/gi, (tag, slash, name) => `\u0001${slash}${name.toLowerCase()}\u0002`)
+    .replace(/<[^>]*>/g, '')
+    .replace(/\u0001/g, '<')
+    .replace(/\u0002/g, '>')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line.length > 0)
+    .join('\n');
+}
+
+function stripCueTags(text) {
+  return String(text || '').replace(/<[^>]*>/g, '');
+}
+
+function makeCue(start, end, text, extra = {}) {
+  return { start, end, text, ...extra };
+}
+
+// What finalizeCues saw in the source order, keyed by the list it returned
+const CUE_LIST_STATS = new WeakMap();
+
+// Drop empty/invalid cues and sort by start time
+function finalizeCues(cues) {
+  const stats = { parsed: cues.length, dropped: 0, reversed: 0, outOfOrder: 0 };
+  let previousStart = -Infinity;
+
+  const kept = cues.filter(cue => {
+    const valid = Number.isFinite(cue.start) && Number.isFinite(cue.end) && Boolean(cue.text);
+    if (!valid) {
+      stats.dropped++;
+      return false;
+    }
+    if (cue.end < cue.start) stats.reversed++;
+    if (cue.start < previousStart) stats.outOfOrder++;
+    previousStart = cue.start;
+    return true;
+  });
+
+  const finalized = kept
+    .map(cue => (cue.end < cue.start ? { ...cue, end: cue.start } : cue))
+    .sort((a, b) => a.start - b.start || a.end - b.end);
+  CUE_LIST_STATS.set(finalized, stats);
+  return finalized;
+}
+
+// Source-order statistics for a list returned by a parser, or null
+function cueListStats(cues) {
+  return CUE_LIST_STATS.get(cues) || null;
+}
+
+// ---------------------------------------------------------------------------
+// Minimal XML reader (no DOMParser in service workers)
+// ---------------------------------------------------------------------------
+
+// Parse XML into { name, attrs, children } elements and { text } nodes
+function parseXml(source) {
+  const root = { name: '#document', attrs: {}, children: [] };
+  const stack = [root];
+  const text = String(source);
+  const tokenPattern = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<![^>]*>|<\?[\s\S]*?\?>|<\/\s*([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=/>]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*(\/?)>|([^<]+)/g;
+  let match;
+
+  while ((match = tokenPattern.exec(text)) !== null) {
+    const current = stack[stack.length - 1];
+
+    if (match[1] !== undefined) {
+      current.children.push({ text: match[1] });
+    } else if (match[2]) {
+      // Close the nearest matching element, tolerating unbalanced markup
+      for (let i = stack.length - 1; i > 0; i--) {
+        if (stack[i].name === match[2]) {
+          stack.length = i;
+          break;
+        }
+      }
+    } else if (match[3]) {
+      const element = { name: match[3], attrs: parseXmlAttributes(match[4] || ''), children: [] };
+      current.children.push(element);
+      if (!match[5]) stack.push(element);
+    } else if (match[6] !== undefined) {
+      current.children.push({ text: decodeXmlEntities(match[6]) });
+    }
+  }
+
+  return root;
+}
+
+function parseXmlAttributes(source) {
+  const attrs = {};
+  const attrPattern = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+  let match;
+  while ((match = attrPattern.exec(source)) !== null) {
+    const value = match[2] ?? match[3] ?? match[4] ?? '';
+    attrs[match[1]] = decodeXmlEntities(value);
+  }
+  return attrs;
+}
+
+function xmlLocalName(name) {
+  return String(name || '').split(':').pop();
+}
+
+// Read an attribute regardless of its namespace prefix
+function xmlAttr(element, localName) {
+  if (!element?.attrs) return undefined;
+  if (element.attrs[localName] !== undefined) return element.attrs[localName];
+  const key = Object.keys(element.attrs).find(name => xmlLocalName(name) === localName);
+  return key ? element.attrs[key] : undefined;
+}
+
+function findXmlElements(node, localName, results = []) {
+  for (const child of node.children || []) {
+    if (!child.name) continue;
+    if (xmlLocalName(child.name) === localName) results.push(child);
+    findXmlElements(child, localName, results);
+  }
+  return results;
+}
+
+function findXmlElement(node, localName) {
+  for (const child of node.children || []) {
+    if (!child.name) continue;
+    if (xmlLocalName(child.name) === localName) return child;
+    const nested = findXmlElement(child, localName);
+    if (nested) return nested;
+  }
+  return null;
+}
+
+// Direct child elements only (findXmlElements searches all descendants)
+function findXmlChildren(node, localName) {
+  return (node?.children || []).filter(child => child.name && xmlLocalName(child.name) === localName);
+}
+
+function xmlTextContent(node) {
+  if (node.text !== undefined) return node.text;
+  return (node.children || []).map(xmlTextContent).join('');
+}
+
+// ---------------------------------------------------------------------------
+// Format detection
+// ---------------------------------------------------------------------------
+
+function detectSubtitleFormat(content, hint = '') {
+  const text = String(content || '').replace(/^\uFEFF/, '').trimStart();
+
+  if (/^WEBVTT/.test(text)) return 'vtt';
+  if (/^\{[\s\S]*"events"\s*:/.test(text.slice(0, 2000))) return 'json3';
+  if (/<transcript[\s>]/.test(text.slice(0, 500))) return 'srv1';
+  if (/<timedtext[^>]*\bformat="3"/.test(text.slice(0, 500))) return 'srv3';
+  if (/<timedtext[\s>]/.test(text.slice(0, 500))) return 'srv2';
+  if (/^\[Script Info\]/im.test(text) || /^\[V4\+? Styles\]/im.test(text) || /^Dialogue:/m.test(text)) return 'ass';
+  if (/<(?:[\w-]+:)?tt[\s>]/.test(text.slice(0, 2000))) return 'ttml';
+  if (/^\d+:\d{2}:\d{2}\.\d{3},\d+:\d{2}:\d{2}\.\d{3}\s*$/m.test(text)) return 'sbv';
+  if (/\d{1,2}:\d{2}:\d{2}[,.]\d{1,3}\s*-->/.test(text)) return 'srt';
+
+  const hinted = normalizeFormatName(hint);
+  return SUBTITLE_PARSERS[hinted] ? hinted : null;
+}
+
+// ---------------------------------------------------------------------------
+// Parsers
+// ---------------------------------------------------------------------------
+
+function splitBlocks(content) {
+  return String(content)
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n')
+    .split(/\n[ \t]*\n/);
+}
+
+function parseSrt(content) {
+  const cues = [];
+  const timing = /(\d{1,2}:\d{2}:\d{2}(?:[,.]\d{1,3})?)\s*-->\s*(\d{1,2}:\d{2}:\d{2}(?:[,.]\d{1,3})?)/;
+
+  for (const block of splitBlocks(content)) {
+    const lines = block.split('\n');
+    const timingIndex = lines.findIndex(line => timing.test(line));
+    if (timingIndex === -1) continue;
+
+    const [, start, end] = lines[timingIndex].match(timing);
+    const text = decodeXmlEntities(normalizeCueText(lines.slice(timingIndex + 1).join('\n').replace(/\{\\[^}]*\}/g, '')));
+    cues.push(makeCue(parseClockTime(start), parseClockTime(end), text));
+  }
+
+  return finalizeCues(cues);
+}
+
+// WebVTT cue payload to cue text (karaoke timestamps and entities removed)
+function vttPayloadText(payload) {
+  return decodeXmlEntities(normalizeCueText(String(payload || '').replace(/<\d{1,2}:\d{2}(?::\d{2})?\.\d{3}>/g, '')));
+}
+
+function parseVtt(content) {
+  const cues = [];
+  const timing = /((?:\d+:)?\d{1,2}:\d{2}\.\d{3})\s*-->\s*((?:\d+:)?\d{1,2}:\d{2}\.\d{3})(.*)/;
+
+  for (const block of splitBlocks(content)) {
+    const lines = block.split('\n');
+    if (/^(WEBVTT|NOTE|STYLE|REGION)\b/.test(lines[0]) && !timing.test(lines[0])) {
+      // Header blocks can still carry a cue after the header line
+      if (!lines.some(line => timing.test(line))) continue;
+    }
+
+    const timingIndex = lines.findIndex(line => timing.test(line));
+    if (timingIndex === -1) continue;
+
+    const [, start, end, settings] = lines[timingIndex].match(timing);
+    const text = vttPayloadText(lines.slice(timingIndex + 1).join('\n'));
+    const cue = makeCue(parseClockTime(start), parseClockTime(end), text);
+    if (settings.trim()) cue.settings = settings.trim();
+    cues.push(cue);
+  }
+
+  return finalizeCues(cues);
+}
+
+// Convert ASS override blocks to the cue markup subset; \{ and \} are literal
+// braces, and < and > are plain text in ASS
+const ASS_LITERALS = { '{': '\u0003', '}': '\u0004', '<': '\u0005', '>': '\u0006' };
+
+function assTextToCueText(text) {
+  return normalizeCueText(text
+    .replace(/\\([{}])/g, (escaped, brace) => ASS_LITERALS[brace])
+    .replace(/[<>]/g, bracket => ASS_LITERALS[bracket])
+    .replace(/\\N/gi, '\n')
+    .replace(/\\h/g, ' ')
+    .replace(/\{([^}]*)\}/g, (block, overrides) => {
+      let result = '';
+      const pattern = /\\([biu])([01])/g;
+      let match;
+      while ((match = pattern.exec(overrides)) !== null) {
+        result += match[2] === '1' ? `<${match[1]}>` : `</${match[1]}>`;
+      }
+      return result;
+    }))
+    .replace(/[\u0003-\u0006]/g, placeholder => Object.keys(ASS_LITERALS).find(key => ASS_LITERALS[key] === placeholder));
+}
+
+function parseAss(content) {
+  const cues = [];
+  const lines = String(content).replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split('\n');
+  let section = '';
+  let fields = ['Layer', 'Start', 'End', 'Style', 'Name', 'MarginL', 'MarginR', 'MarginV', 'Effect', 'Text'];
+
+  for (const rawLine of lines) {
+    const line = rawLine.trim();
+    const sectionMatch = line.match(/^\[(.+)\]$/);
+    if (sectionMatch) {
+      section = sectionMatch[1].toLowerCase();
+      continue;
+    }
+    if (section !== 'events') continue;
+
+    if (/^Format:/i.test(line)) {
+      fields = line.slice(line.indexOf(':') + 1).split(',').map(field => field.trim());
+      continue;
+    }
+    if (!/^Dialogue:/i.test(line)) continue;
+
+    const values = line.slice(line.indexOf(':') + 1).split(',');
+    const textIndex = fields.indexOf('Text');
+    const record = {};
+    fields.forEach((field, index) => {
+      record[field] = index === textIndex
+        ? values.slice(index).join(',')
+        : (values[index] || '').trim();
+    });
+
+    const cue = makeCue(parseClockTime(record.Start), parseClockTime(record.End), assTextToCueText(record.Text || ''));
+    if (record.Style && record.Style !== 'Default') cue.style = record.Style;
+    cues.push(cue);
+  }
+
+  return finalizeCues(cues);
+}
+
+// TTML time expressions: clock time, frames, offset time with units, ticks
+function parseTtmlTime(value, timing) {
+  if (!value) return NaN;
+  const trimmed = value.trim();
+
+  const frames = trimmed.match(/^(\d+):(\d{2}):(\d{2}):(\d{2})(?:\.(\d+))?$/);
+  if (frames) {
+    const [, h, m, s, f] = frames;
+    return ((parseInt(h, 10) * 60 + parseInt(m, 10)) * 60 + parseInt(s, 10)) * 1000 +
+      Math.round((parseInt(f, 10) / timing.frameRate) * 1000);
+  }
+
+  const clock = parseClockTime(trimmed);
+  if (Number.isFinite(clock)) return clock;
+
+  const offset = trimmed.match(/^([\d.]+)(h|m|s|ms|f|t)$/);
+  if (offset) {
+    const amount = parseFloat(offset[1]);
+    switch (offset[2]) {
+      case 'h': return amount * 3600000;
+      case 'm': return amount * 60000;
+      case 's': return amount * 1000;
+      case 'ms': return amount;
+      case 'f': return (amount / timing.frameRate) * 1000;
+      case 't': return (amount / timing.tickRate) * 1000;
+    }
+  }
+
+  return NaN;
+}
+
+// Collect <b>/<i>/<u> flags from inline tts: attributes and referenced styles
+function ttmlStyleFlags(element, styles) {
+  const flags = { b: false, i: false, u: false };
+  const sources = [];
+  for (const ref of (xmlAttr(element, 'style') || '').split(/\s+/).filter(Boolean)) {
+    if (styles[ref]) sources.push(styles[ref]);
+  }
+  sources.push(element);
+
+  for (const source of sources) {
+    if (xmlAttr(source, 'fontStyle') === 'italic') flags.i = true;
+    if (xmlAttr(source, 'fontWeight') === 'bold') flags.b = true;
+    if (/underline/.test(xmlAttr(source, 'textDecoration') || '')) flags.u = true;
+  }
+  return flags;
+}
+
+function ttmlInlineText(node, styles) {
+  if (node.text !== undefined) return node.text.replace(/\s+/g, ' ');
+  const name = xmlLocalName(node.name);
+  if (name === 'br') return '\n';
+
+  const inner = (node.children || []).map(child => ttmlInlineText(child, styles)).join('');
+  if (name !== 'span') return inner;
+
+  const flags = ttmlStyleFlags(node, styles);
+  let result = inner;
+  for (const tag of ['u', 'i', 'b']) {
+    if (flags[tag]) result = `<${tag}>${result}</${tag}>`;
+  }
+  return result;
+}
+
+function parseTtml(content) {
+  const doc = parseXml(content);
+  const tt = findXmlElement(doc, 'tt');
+  if (!tt) return [];
+
+  const declaredFrameRate = parseFloat(xmlAttr(tt, 'frameRate'));
+  const frameRate = declaredFrameRate || 30;
+  const multiplier = (xmlAttr(tt, 'frameRateMultiplier') || '1 1').split(/\s+/).map(Number);
+  const timing = {
+    frameRate: frameRate * ((multiplier[0] || 1) / (multiplier[1] || 1)),
+    tickRate: parseFloat(xmlAttr(tt, 'tickRate')) || declaredFrameRate || 1
+  };
+
+  const styles = {};
+  for (const style of findXmlElements(tt, 'style')) {
+    const id = xmlAttr(style, 'id');
+    if (id) styles[id] = style;
+  }
+
+  const cues = [];
+  const walk = (node, offset, parentEnd) => {
+    for (const child of node.children || []) {
+      if (!child.name) continue;
+      const name = xmlLocalName(child.name);
+      if (name === 'head') continue;
+
+      const begin = parseTtmlTime(xmlAttr(child, 'begin'), timing);
+      const start = offset + (Number.isFinite(begin) ? begin : 0);
+      const end = parseTtmlTime(xmlAttr(child, 'end'), timing);
+      const dur = parseTtmlTime(xmlAttr(child, 'dur'), timing);
+      let stop = parentEnd;
+      if (Number.isFinite(end)) stop = offset + end;
+      else if (Number.isFinite(dur)) stop = start + dur;
+
+      if (name === 'p') {
+        const paragraphFlags = ttmlStyleFlags(child, styles);
+        let text = child.children.map(inline => ttmlInlineText(inline, styles)).join('');
+        for (const tag of ['u', 'i', 'b']) {
+          if (paragraphFlags[tag]) text = `<${tag}>${text}</${tag}>`;
+        }
+        cues.push(makeCue(start, stop, normalizeCueText(text)));
+      } else {
+        walk(child, start, stop);
+      }
+    }
+  };
+  walk(tt, 0, NaN);
+
+  return finalizeCues(cues);
+}
+
+function parseSbv(content) {
+  const cues = [];
+  const timing = /^(\d+:\d{2}:\d{2}\.\d{3}),(\d+:\d{2}:\d{2}\.\d{3})\s*$/;
+
+  for (const block of splitBlocks(content)) {
+    const lines = block.split('\n');
+    const match = lines[0].trim().match(timing);
+    if (!match) continue;
+    cues.push(makeCue(parseClockTime(match[1]), parseClockTime(match[2]), normalizeCueText(lines.slice(1).join('\n').replace(/\[br\]/gi, '\n'))));
+  }
+
+  return finalizeCues(cues);
+}
+
+// ---------------------------------------------------------------------------
+// YouTube timedtext (srv1, srv2, srv3, json3)
+// ---------------------------------------------------------------------------
+
+const YOUTUBE_TIMEDTEXT_FORMATS = ['srv1', 'srv2', 'srv3', 'json3'];
+
+function isYouTubeTimedTextFormat(format) {
+  return YOUTUBE_TIMEDTEXT_FORMATS.includes(normalizeFormatName(format));
+}
+
+// Map YouTube window position (ap/ah/av) and style (ju) to WebVTT cue settings.
+// The default bottom-centered window produces no settings.
+function youtubeCueSettings(position = {}, style = {}) {
+  const settings = [];
+  const vertical = Number(position.av);
+  const horizontal = Number(position.ah);
+
+  if (Number.isFinite(vertical) && vertical < 85) settings.push(`line:${vertical}%`);
+  if (Number.isFinite(horizontal) && horizontal !== 50) settings.push(`position:${horizontal}%`);
+
+  const align = { 0: 'left', 1: 'right' }[style.ju];
+  if (align) settings.push(`align:${align}`);
+
+  return settings.join(' ');
+}
+
+function wrapPenTags(text, pen) {
+  if (!pen || !text.trim()) return text;
+  let result = text;
+  for (const tag of ['u', 'i', 'b']) {
+    if (pen[tag]) result = `<${tag}>${result}</${tag}>`;
+  }
+  return result;
+}
+
+// srv1: <transcript><text start="1.2" dur="3.4">...</text></transcript> (seconds, double-escaped text)
+function parseSrv1(content) {
+  const doc = parseXml(content);
+  const cues = findXmlElements(doc, 'text').map(element => {
+    const start = Math.round(parseFloat(xmlAttr(element, 'start')) * 1000);
+    const duration = Math.round(parseFloat(xmlAttr(element, 'dur') || '0') * 1000);
+    const text = decodeXmlEntities(xmlTextContent(element));
+    return makeCue(start, start + duration, normalizeCueText(text));
+  });
+  return finalizeCues(cues);
+}
+
+// srv2: <timedtext><text t="1200" d="3400">...</text></timedtext> (milliseconds)
+function parseSrv2(content) {
+  const doc = parseXml(content);
+  const cues = findXmlElements(doc, 'text').map(element => {
+    const start = parseInt(xmlAttr(element, 't'), 10);
+    const duration = parseInt(xmlAttr(element, 'd') || '0', 10);
+    return makeCue(start, start + duration, normalizeCueText(decodeXmlEntities(xmlTextContent(element))));
+  });
+  return finalizeCues(cues);
+}
+
+function readSrv3Pen(element) {
+  return {
+    b: xmlAttr(element, 'b') === '1',
+    i: xmlAttr(element, 'i') === '1',
+    u: xmlAttr(element, 'u') === '1'
+  };
+}
+
+// srv3: <timedtext format="3"> with <head> pens/window styles and <p t d> paragraphs
+// that may be split into word-level <s t> segments
+function parseSrv3(content) {
+  const doc = parseXml(content);
+  const pens = {};
+  const positions = {};
+  const styles = {};
+  const windows = {};
+
+  const head = findXmlElement(doc, 'head');
+  if (head) {
+    findXmlElements(head, 'pen').forEach(pen => { pens[xmlAttr(pen, 'id')] = readSrv3Pen(pen); });
+    findXmlElements(head, 'wp').forEach(wp => {
+      positions[xmlAttr(wp, 'id')] = { ap: xmlAttr(wp, 'ap'), ah: xmlAttr(wp, 'ah'), av: xmlAttr(wp, 'av') };
+    });
+    findXmlElements(head, 'ws').forEach(ws => { styles[xmlAttr(ws, 'id')] = { ju: xmlAttr(ws, 'ju') }; });
+  }
+
+  const body = findXmlElement(doc, 'body') || doc;
+  findXmlElements(body, 'w').forEach(win => {
+    windows[xmlAttr(win, 'id')] = { wp: xmlAttr(win, 'wp'), ws: xmlAttr(win, 'ws') };
+  });
+
+  const cues = [];
+  for (const paragraph of findXmlElements(body, 'p')) {
+    const start = parseInt(xmlAttr(paragraph, 't'), 10);
+    const duration = parseInt(xmlAttr(paragraph, 'd') || '0', 10);
+    const win = windows[xmlAttr(paragraph, 'w')] || {};
+    const paragraphPen = pens[xmlAttr(paragraph, 'p')];
+    const words = [];
+
+    const text = paragraph.children.map(child => {
+      if (child.text !== undefined) return child.text;
+      if (xmlLocalName(child.name) === 'br') return '\n';
+      const segmentText = xmlTextContent(child);
+      if (xmlLocalName(child.name) === 's' && segmentText.trim()) {
+        words.push({ start: start + (parseInt(xmlAttr(child, 't') || '0', 10)), text: segmentText.trim() });
+      }
+      return wrapPenTags(segmentText, pens[xmlAttr(child, 'p')]);
+    }).join('');
+
+    const normalized = normalizeCueText(wrapPenTags(text, paragraphPen));
+    if (!normalized) continue;
+
+    const cue = makeCue(start, start + duration, normalized);
+    const settings = youtubeCueSettings(
+      positions[xmlAttr(paragraph, 'wp') || win.wp],
+      styles[xmlAttr(paragraph, 'ws') || win.ws]
+    );
+    if (settings) cue.settings = settings;
+    if (words.length > 1) cue.words = words;
+    cues.push(cue);
+  }
+
+  return finalizeCues(cues);
+}
+
+// json3: { events: [{ tStartMs, dDurationMs, segs: [{ utf8, tOffsetMs, pPenId }] }] }
+function parseJson3(content) {
+  let data;
+  try {
+    data = JSON.parse(String(content).replace(/^\uFEFF/, ''));
+  } catch {
+    return [];
+  }
+
+  const pens = (data.pens || []).map(pen => ({ b: pen.bAttr === 1, i: pen.iAttr === 1, u: pen.uAttr === 1 }));
+  const positions = (data.wpWinPositions || []).map(wp => ({ ap: wp.apPoint, ah: wp.ahHorPos, av: wp.avVerPos }));
+  const styles = (data.wsWinStyles || []).map(ws => ({ ju: ws.juJustifCode }));
+  const windows = {};
+  const cues = [];
+
+  for (const event of data.events || []) {
+    if (event.id !== undefined && !event.segs) {
+      windows[event.id] = { wp: event.wpWinPosId, ws: event.wsWinStyleId };
+      continue;
+    }
+    if (!event.segs) continue;
+
+    const start = event.tStartMs || 0;
+    const words = [];
+    const text = event.segs.map(seg => {
+      const segText = seg.utf8 || '';
+      if (segText.trim()) words.push({ start: start + (seg.tOffsetMs || 0), text: segText.trim() });
+      return wrapPenTags(segText, pens[seg.pPenId]);
+    }).join('');
+
+    const normalized = normalizeCueText(wrapPenTags(text, pens[event.pPenId]));
+    if (!normalized) continue;
+
+    const win = windows[event.wWinId] || {};
+    const cue = makeCue(start, start + (event.dDurationMs || 0), normalized);
+    const settings = youtubeCueSettings(
+      positions[event.wpWinPosId ?? win.wp],
+      styles[event.wsWinStyleId ?? win.ws]
+    );
+    if (settings) cue.settings = settings;
+    if (words.length > 1) cue.words = words;
+    cues.push(cue);
+  }
+
+  return finalizeCues(cues);
+}
+
+const SUBTITLE_PARSERS = {
+  srt: parseSrt,
+  vtt: parseVtt,
+  ass: parseAss,
+  ttml: parseTtml,
+  sbv: parseSbv,
+  srv1: parseSrv1,
+  srv2: parseSrv2,
+  srv3: parseSrv3,
+  json3: parseJson3
+};
+
+// Parse content into { format, cues }; format is null if unrecognized
+function parseSubtitle(content, hint = '') {
+  const format = detectSubtitleFormat(content, hint);
+  if (!format) return { format: null, cues: [] };
+  return { format, cues: SUBTITLE_PARSERS[format](content) };
+}
+
+// ---------------------------------------------------------------------------
+// Serializers
+// ---------------------------------------------------------------------------
+
+function toSrt(cues) {
+  return cues.map((cue, index) =>
+    `${index + 1}\n${formatClockTime(cue.start, 'srt')} --> ${formatClockTime(cue.end, 'srt')}\n${escapeSrtText(cue.text)}\n`
+  ).join('\n');
+}
+
+function toVtt(cues) {
+  const body = cues.map(cue => {
+    const settings = cue.settings ? ` ${cue.settings}` : '';
+    return `${formatClockTime(cue.start, 'vtt')} --> ${formatClockTime(cue.end, 'vtt')}${settings}\n${escapeCueMarkup(cue.text)}\n`;
+  }).join('\n');
+  return `WEBVTT\n\n${body}`;
+}
+
+const DEFAULT_ASS_STYLE = {
+  name: 'Default',
+  fontName: 'Arial',
+  fontSize: 20,
+  primaryColour: '&H00FFFFFF',
+  outlineColour: '&H00000000',
+  alignment: 2,
+  marginV: 10
+};
+
+// options.styles: extra style definitions, cue.style picks one by name
+function toAss(cues, options = {}) {
+  const styles = [DEFAULT_ASS_STYLE, ...(options.styles || [])].map(style => ({ ...DEFAULT_ASS_STYLE, ...style }));
+  const styleLines = styles.map(style =>
+    `Style: ${style.name},${style.fontName},${style.fontSize},${style.primaryColour},&H000000FF,${style.outlineColour},&H80000000,0,0,0,0,100,100,0,0,1,2,1,${style.alignment},10,10,${style.marginV},1`
+  );
+
+  const events = cues.map(cue => {
+    // A literal brace would open an override block
+    const text = cue.text
+      .replace(/[{}]/g, '\\$&')
+      .replace(/<([biu])>/g, '{\\$11}')
+      .replace(/<\/([biu])>/g, '{\\$10}')
+      .replace(/\n/g, '\\N');
+    return `Dialogue: 0,${formatClockTime(cue.start, 'ass')},${formatClockTime(cue.end, 'ass')},${cue.style || 'Default'},,0,0,0,,${text}`;
+  });
+
+  return [
+    '[Script Info]',
+    `Title: ${options.title || 'Subtitle Catcher export'}`,
+    'ScriptType: v4.00+',
+    'WrapStyle: 0',
+    'PlayResX: 384',
+    'PlayResY: 288',
+    'ScaledBorderAndShadow: yes',
+    '',
+    '[V4+ Styles]',
+    'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding',
+    ...styleLines,
+    '',
+    '[Events]',
+    'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+    ...events,
+    ''
+  ].join('\n');
+}
+
+function toTtml(cues, options = {}) {
+  const paragraphs = cues.map(cue => {
+    const text = escapeXml(cue.text)
+      .replace(/&lt;i&gt;/g, '<span tts:fontStyle="italic">')
+      .replace(/&lt;b&gt;/g, '<span tts:fontWeight="bold">')
+      .replace(/&lt;u&gt;/g, '<span tts:textDecoration="underline">')
+      .replace(/&lt;\/[biu]&gt;/g, '</span>')
+      .replace(/\n/g, '<br/>');
+    return `      <p begin="${formatClockTime(cue.start, 'ttml')}" end="${formatClockTime(cue.end, 'ttml')}">${text}</p>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<tt xmlns="http://www.w3.org/ns/ttml" xmlns:tts="http://www.w3.org/ns/ttml#styling" xml:lang="${escapeXml(options.language || '')}">`,
+    '  <body>',
+    '    <div>',
+    ...paragraphs,
+    '    </div>',
+    '  </body>',
+    '</tt>',
+    ''
+  ].join('\n');
+}
+
+function toSbv(cues) {
+  return cues.map(cue =>
+    `${formatClockTime(cue.start, 'sbv')},${formatClockTime(cue.end, 'sbv')}\n${stripCueTags(cue.text)}\n`
+  ).join('\n');
+}
+
+function toPlainText(cues) {
+  return cues.map(cue => stripCueTags(cue.text)).join('\n') + '\n';
+}
+
+const SUBTITLE_SERIALIZERS = {
+  srt: toSrt,
+  vtt: toVtt,
+  ass: toAss,
+  ttml: toTtml,
+  sbv: toSbv,
+  txt: toPlainText
+};
+
+function serializeCues(cues, targetFormat, options = {}) {
+  const format = normalizeFormatName(targetFormat);
+  const serializer = SUBTITLE_SERIALIZERS[format];
+  if (!serializer) {
+    throw new Error(`Unsupported export format: ${targetFormat}`);
+  }
+  return serializer(cues, options);
+}
+
+// Convert subtitle text to another format; throws if the source can't be parsed
+function convertSubtitle(content, targetFormat, sourceHint = '', options = {}) {
+  const { format, cues } = parseSubtitle(content, sourceHint);
+  if (!format) {
+    throw new Error('Unrecognized subtitle format');
+  }
+  if (cues.length === 0) {
+    throw new Error(`No cues found in ${format.toUpperCase()} subtitle`);
+  }
+  return serializeCues(cues, targetFormat, options);
+}
+
+// Swap (or add) the extension of a filename
+function replaceExtension(filename, extension) {
+  const base = String(filename || 'subtitle').replace(/\.[a-z0-9]{1,5}$/i, '');
+  return `${base}.${extension}`;
+}
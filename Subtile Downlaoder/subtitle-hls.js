@@ -0,0 +1,170 @@
+// HLS subtitle renditions: playlist parsing and stitching of segmented WebVTT.
+// A master playlist lists SUBTITLES renditions; each rendition URI is a media
+// playlist of short .vtt segments that are joined into one continuous file.
+
+// MPEG-TS timestamps run on a 90 kHz clock and wrap around at 33 bits
+const MPEGTS_TICKS_PER_MS = 90;
+const MPEGTS_ROLLOVER = 2 ** 33;
+
+// Cues repeated in neighbouring segments may be split at the boundary by up to this much
+const SEGMENT_CUE_TOLERANCE = 40;
+
+// How many recently kept cues are checked for a duplicate
+const SEGMENT_DEDUPE_LOOKBACK = 10;
+
+// KEY=VALUE,KEY="quoted, value" -> { KEY: value }
+function parseM3u8Attributes(text) {
+  const attrs = {};
+  const pattern = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    attrs[match[1]] = match[2].replace(/^"|"$/g, '');
+  }
+  return attrs;
+}
+
+function m3u8Lines(text) {
+  return String(text || '')
+    .replace(/^\uFEFF/, '')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(Boolean);
+}
+
+// Media playlists list segments; master playlists list variants and renditions
+function isHlsMediaPlaylist(text) {
+  return /^#EXTINF:/m.test(text);
+}
+
+function isWebVttSegmentUri(uri) {
+  return /\.(vtt|webvtt)(\?|#|$)/i.test(uri);
+}
+
+// SUBTITLES renditions of a master playlist with their attributes
+function parseHlsMasterPlaylist(text, baseUrl) {
+  const subtitles = [];
+
+  for (const line of m3u8Lines(text)) {
+    if (!line.startsWith('#EXT-X-MEDIA:')) continue;
+
+    const attrs = parseM3u8Attributes(line.slice('#EXT-X-MEDIA:'.length));
+    if (attrs.TYPE !== 'SUBTITLES' || !attrs.URI) continue;
+
+    subtitles.push({
+      uri: new URL(attrs.URI, baseUrl).href,
+      groupId: attrs['GROUP-ID'] || '',
+      language: attrs.LANGUAGE || '',
+      name: attrs.NAME || '',
+      forced: attrs.FORCED === 'YES',
+      isDefault: attrs.DEFAULT === 'YES',
+      autoselect: attrs.AUTOSELECT === 'YES',
+      characteristics: attrs.CHARACTERISTICS ? attrs.CHARACTERISTICS.split(',') : []
+    });
+  }
+
+  return { subtitles };
+}
+
+// Segments of a media playlist in playback order, plus the fMP4 init segment (EXT-X-MAP) if any
+function parseHlsMediaPlaylist(text, baseUrl) {
+  const segments = [];
+  let initialization = '';
+  let duration = null;
+  let mediaSequence = 0;
+  let endList = false;
+
+  for (const line of m3u8Lines(text)) {
+    if (line.startsWith('#EXTINF:')) {
+      duration = parseFloat(line.slice('#EXTINF:'.length));
+    } else if (line.startsWith('#EXT-X-MEDIA-SEQUENCE:')) {
+      mediaSequence = parseInt(line.slice('#EXT-X-MEDIA-SEQUENCE:'.length), 10) || 0;
+    } else if (line.startsWith('#EXT-X-MAP:')) {
+      const { URI } = parseM3u8Attributes(line.slice('#EXT-X-MAP:'.length));
+      if (URI) initialization = new URL(URI, baseUrl).href;
+    } else if (line === '#EXT-X-ENDLIST') {
+      endList = true;
+    } else if (!line.startsWith('#') && duration !== null) {
+      segments.push({ uri: new URL(line, baseUrl).href, duration: duration * 1000 });
+      duration = null;
+    }
+  }
+
+  return { segments, initialization, mediaSequence, endList };
+}
+
+// X-TIMESTAMP-MAP=MPEGTS:900000,LOCAL:00:00:00.000 -> { mpegts, local } (local in ms)
+function parseTimestampMap(vttText) {
+  const header = String(vttText || '').split(/\r?\n\r?\n/)[0];
+  const match = header.match(/^X-TIMESTAMP-MAP=(.*)$/m);
+  if (!match) return null;
+
+  const mpegts = match[1].match(/MPEGTS:(\d+)/);
+  const local = match[1].match(/LOCAL:([\d:.]+)/);
+  if (!mpegts) return null;
+
+  return {
+    mpegts: parseInt(mpegts[1], 10),
+    local: local ? parseClockTime(local[1]) : 0
+  };
+}
+
+// Drop cues repeated at segment boundaries, extending the kept copy over both
+function dedupeSegmentCues(cues) {
+  const sorted = [...cues].sort((a, b) => a.start - b.start || a.end - b.end);
+  const kept = [];
+
+  for (const cue of sorted) {
+    let duplicate = null;
+    for (let i = kept.length - 1; i >= Math.max(0, kept.length - SEGMENT_DEDUPE_LOOKBACK); i--) {
+      const candidate = kept[i];
+      if (candidate.text === cue.text &&
+          (candidate.settings || '') === (cue.settings || '') &&
+          cue.start <= candidate.end + SEGMENT_CUE_TOLERANCE) {
+        duplicate = candidate;
+        break;
+      }
+    }
+
+    if (duplicate) {
+      duplicate.end = Math.max(duplicate.end, cue.end);
+    } else {
+      kept.push({ ...cue });
+    }
+  }
+
+  return kept;
+}
+
+// Join WebVTT segment texts (in playlist order) into one list of cues.
+// Every segment's X-TIMESTAMP-MAP is made relative to the first one, so
+// cue times end up on a single timeline starting where the stream starts.
+function stitchWebVttSegments(segmentTexts) {
+  const cues = [];
+  let basePosition = null;
+  let previousMpegts = null;
+  let rollover = 0;
+
+  for (const text of segmentTexts) {
+    const map = parseTimestampMap(text);
+    let offset = 0;
+
+    if (map) {
+      let mpegts = map.mpegts + rollover;
+      if (previousMpegts !== null && previousMpegts - mpegts > MPEGTS_ROLLOVER / 2) {
+        rollover += MPEGTS_ROLLOVER;
+        mpegts += MPEGTS_ROLLOVER;
+      }
+      previousMpegts = mpegts;
+
+      const position = mpegts / MPEGTS_TICKS_PER_MS - map.local;
+      if (basePosition === null) basePosition = position;
+      offset = Math.round(position - basePosition);
+    }
+
+    for (const cue of parseVtt(text)) {
+      cues.push({ ...cue, start: cue.start + offset, end: cue.end + offset });
+    }
+  }
+
+  return dedupeSegmentCues(cues);
+}
@@ -0,0 +1,104 @@
+// Bilingual subtitle merging on top of the cue model from subtitle-formats.js.
+// Cues of the secondary track are aligned to the primary track by time overlap
+// and emitted either stacked in one cue or as separate ASS top/bottom events.
+
+const MERGE_MODES = {
+  stacked: 'Stacked (one cue, both languages)',
+  ass: 'ASS top/bottom styles'
+};
+
+// Secondary cues must overlap a primary cue by this share of their own duration
+const MIN_OVERLAP_RATIO = 0.2;
+
+function cueOverlap(a, b) {
+  return Math.max(0, Math.min(a.end, b.end) - Math.max(a.start, b.start));
+}
+
+// Group cues: every primary cue collects the secondary cues it overlaps most;
+// secondary cues without a partner form groups of their own
+function alignCuesByOverlap(primaryCues, secondaryCues) {
+  const groups = primaryCues.map(cue => ({ start: cue.start, end: cue.end, primary: [cue], secondary: [] }));
+  const unmatched = [];
+  let searchFrom = 0;
+
+  for (const cue of secondaryCues) {
+    const duration = Math.max(1, cue.end - cue.start);
+    let best = null;
+    let bestOverlap = 0;
+
+    // Both lists are sorted, so skip primary cues that ended before this one
+    while (searchFrom < groups.length && groups[searchFrom].end <= cue.start) {
+      searchFrom++;
+    }
+    for (let i = Math.max(0, searchFrom - 1); i < groups.length && groups[i].start < cue.end; i++) {
+      const overlap = cueOverlap(groups[i], cue);
+      if (overlap > bestOverlap) {
+        best = groups[i];
+        bestOverlap = overlap;
+      }
+    }
+
+    if (best && bestOverlap >= duration * MIN_OVERLAP_RATIO) {
+      best.secondary.push(cue);
+    } else {
+      unmatched.push({ start: cue.start, end: cue.end, primary: [], secondary: [cue] });
+    }
+  }
+
+  return groups.concat(unmatched).sort((a, b) => a.start - b.start);
+}
+
+function joinCueText(cues) {
+  return cues.map(cue => cue.text).join('\n');
+}
+
+// One cue per group with the primary text above the secondary text
+function mergeStackedCues(primaryCues, secondaryCues) {
+  return alignCuesByOverlap(primaryCues, secondaryCues).map(group => ({
+    start: group.start,
+    end: group.end,
+    text: [joinCueText(group.primary), joinCueText(group.secondary)].filter(Boolean).join('\n')
+  }));
+}
+
+// Separate events per language: primary at the bottom, secondary at the top
+function mergeAssCues(primaryCues, secondaryCues) {
+  const cues = [];
+  for (const group of alignCuesByOverlap(primaryCues, secondaryCues)) {
+    if (group.primary.length) {
+      cues.push({ start: group.start, end: group.end, text: joinCueText(group.primary), style: 'Bottom' });
+    }
+    if (group.secondary.length) {
+      cues.push({ start: group.start, end: group.end, text: joinCueText(group.secondary), style: 'Top' });
+    }
+  }
+  return cues;
+}
+
+const BILINGUAL_ASS_STYLES = [
+  { name: 'Bottom', alignment: 2, marginV: 10 },
+  { name: 'Top', alignment: 8, marginV: 10, primaryColour: '&H0000FFFF' }
+];
+
+// Merge two subtitle texts; returns { content, extension }
+function mergeBilingualSubtitles(primaryContent, secondaryContent, options = {}) {
+  const primary = parseSubtitle(primaryContent, options.primaryFormat);
+  const secondary = parseSubtitle(secondaryContent, options.secondaryFormat);
+
+  if (primary.cues.length === 0 || secondary.cues.length === 0) {
+    throw new Error('Both subtitles must contain cues to merge');
+  }
+
+  if (options.mode === 'ass') {
+    return {
+      content: toAss(mergeAssCues(primary.cues, secondary.cues), { styles: BILINGUAL_ASS_STYLES, title: options.title }),
+      extension: SUBTITLE_FORMATS.ass.extension
+    };
+  }
+
+  const format = normalizeFormatName(options.format) || 'srt';
+  return {
+    content: serializeCues(mergeStackedCues(primary.cues, secondary.cues), format, { title: options.title }),
+    extension: SUBTITLE_FORMATS[format].extension
+  };
+}
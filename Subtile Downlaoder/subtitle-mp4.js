@@ -0,0 +1,255 @@
+// Text tracks in fragmented MP4 (ISO BMFF): WebVTT-in-MP4 (wvtt) and TTML-in-MP4 (stpp).
+// The init segment (moov) gives the track's timescale and sample entry; every
+// fragment (moof + mdat) gives sample timing through tfhd/tfdt/trun and the
+// sample payloads: vttc/payl cue boxes for wvtt, whole TTML documents for stpp.
+
+// Box types a segment or file can start with
+const MP4_LEADING_BOXES = ['ftyp', 'styp', 'moov', 'moof', 'sidx', 'emsg', 'prft'];
+
+// Sample entries that carry text we can read, and the protected one we can't
+const MP4_TEXT_SAMPLE_ENTRIES = { wvtt: 'vtt', stpp: 'ttml' };
+const MP4_ENCRYPTED_TEXT_ENTRY = 'enct';
+
+function readBoxType(view, offset) {
+  return String.fromCharCode(view.getUint8(offset), view.getUint8(offset + 1), view.getUint8(offset + 2), view.getUint8(offset + 3));
+}
+
+// Boxes laid out in [start, end): { type, start, payload, end }
+function readMp4Boxes(view, start = 0, end = view.byteLength) {
+  const boxes = [];
+  let offset = start;
+
+  while (offset + 8 <= end) {
+    let size = view.getUint32(offset);
+    const type = readBoxType(view, offset + 4);
+    let headerSize = 8;
+
+    if (size === 1) {
+      if (offset + 16 > end) break;
+      size = Number(view.getBigUint64(offset + 8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < headerSize || offset + size > end) break;
+
+    boxes.push({ type, start: offset, payload: offset + headerSize, end: offset + size });
+    offset += size;
+  }
+
+  return boxes;
+}
+
+function mp4Children(view, box, skip = 0) {
+  return readMp4Boxes(view, box.payload + skip, box.end);
+}
+
+function findMp4Child(view, box, type) {
+  return mp4Children(view, box).find(child => child.type === type) || null;
+}
+
+// Follow a path of box types below a box, e.g. ['mdia', 'minf', 'stbl', 'stsd']
+function findMp4Path(view, box, path) {
+  let current = box;
+  for (const type of path) {
+    current = current && findMp4Child(view, current, type);
+  }
+  return current;
+}
+
+function readUint64(view, offset) {
+  return Number(view.getBigUint64(offset));
+}
+
+function isIsoBmff(bytes) {
+  if (!bytes || bytes.length < 8) return false;
+  const type = String.fromCharCode(bytes[4], bytes[5], bytes[6], bytes[7]);
+  return MP4_LEADING_BOXES.includes(type);
+}
+
+// Text tracks declared in moov: trackId -> { timescale, format, encrypted, defaults }
+function readMp4TextTracks(view, moov) {
+  const tracks = new Map();
+
+  for (const trak of mp4Children(view, moov).filter(box => box.type === 'trak')) {
+    const tkhd = findMp4Child(view, trak, 'tkhd');
+    const mdhd = findMp4Path(view, trak, ['mdia', 'mdhd']);
+    const stsd = findMp4Path(view, trak, ['mdia', 'minf', 'stbl', 'stsd']);
+    if (!tkhd || !mdhd || !stsd) continue;
+
+    // stsd is a full box followed by an entry count before its sample entries
+    const entry = mp4Children(view, stsd, 8)[0];
+    if (!entry) continue;
+    const encrypted = entry.type === MP4_ENCRYPTED_TEXT_ENTRY;
+    const format = MP4_TEXT_SAMPLE_ENTRIES[entry.type];
+    if (!format && !encrypted) continue;
+
+    const tkhdVersion = view.getUint8(tkhd.payload);
+    const trackId = view.getUint32(tkhd.payload + (tkhdVersion === 1 ? 20 : 12));
+    const mdhdVersion = view.getUint8(mdhd.payload);
+    const timescale = view.getUint32(mdhd.payload + (mdhdVersion === 1 ? 20 : 12));
+
+    tracks.set(trackId, { trackId, timescale, format, encrypted, defaults: {} });
+  }
+
+  // Fragment defaults from mvex/trex
+  const mvex = findMp4Child(view, moov, 'mvex');
+  for (const trex of mvex ? mp4Children(view, mvex).filter(box => box.type === 'trex') : []) {
+    const track = tracks.get(view.getUint32(trex.payload + 4));
+    if (track) {
+      track.defaults = {
+        duration: view.getUint32(trex.payload + 12),
+        size: view.getUint32(trex.payload + 16)
+      };
+    }
+  }
+
+  return tracks;
+}
+
+function readTfhd(view, tfhd) {
+  const flags = view.getUint32(tfhd.payload) & 0xffffff;
+  let offset = tfhd.payload + 4;
+  const header = { trackId: view.getUint32(offset) };
+  offset += 4;
+
+  if (flags & 0x1) { header.baseDataOffset = readUint64(view, offset); offset += 8; }
+  if (flags & 0x2) offset += 4;
+  if (flags & 0x8) { header.duration = view.getUint32(offset); offset += 4; }
+  if (flags & 0x10) { header.size = view.getUint32(offset); offset += 4; }
+
+  return header;
+}
+
+function readTrun(view, trun) {
+  const version = view.getUint8(trun.payload);
+  const flags = view.getUint32(trun.payload) & 0xffffff;
+  const count = view.getUint32(trun.payload + 4);
+  let offset = trun.payload + 8;
+  const run = { samples: [] };
+
+  if (flags & 0x1) { run.dataOffset = view.getInt32(offset); offset += 4; }
+  if (flags & 0x4) offset += 4;
+
+  for (let i = 0; i < count && offset <= trun.end; i++) {
+    const sample = {};
+    if (flags & 0x100) { sample.duration = view.getUint32(offset); offset += 4; }
+    if (flags & 0x200) { sample.size = view.getUint32(offset); offset += 4; }
+    if (flags & 0x400) offset += 4;
+    if (flags & 0x800) {
+      sample.compositionOffset = version === 0 ? view.getUint32(offset) : view.getInt32(offset);
+      offset += 4;
+    }
+    run.samples.push(sample);
+  }
+
+  return run;
+}
+
+// Cues in one wvtt sample: a vttc box per cue (vtte marks an empty sample)
+function readWvttSample(view, start, end, startMs, endMs) {
+  const decoder = new TextDecoder('utf-8');
+  const cues = [];
+
+  for (const box of readMp4Boxes(view, start, end)) {
+    if (box.type !== 'vttc') continue;
+
+    let text = '';
+    let settings = '';
+    for (const child of mp4Children(view, box)) {
+      const bytes = new Uint8Array(view.buffer, view.byteOffset + child.payload, child.end - child.payload);
+      if (child.type === 'payl') text = decoder.decode(bytes);
+      if (child.type === 'sttg') settings = decoder.decode(bytes).trim();
+    }
+
+    const cue = makeCue(startMs, endMs, vttPayloadText(text));
+    if (settings) cue.settings = settings;
+    cues.push(cue);
+  }
+
+  return cues;
+}
+
+// stpp samples are complete TTML documents timed on the track's media timeline
+function readStppSample(view, start, end) {
+  const documentText = new TextDecoder('utf-8').decode(new Uint8Array(view.buffer, view.byteOffset + start, end - start));
+  return parseTtml(documentText.replace(/\0+$/, ''));
+}
+
+// Read text cues from fragmented MP4 buffers (init segment first, then media segments).
+// Returns { format, cues } or null when no readable text track was found; throws
+// an error with code 'encrypted-track' for DRM-protected text, which no retry can read.
+function parseMp4TextTrack(buffers) {
+  let tracks = new Map();
+  let format = null;
+  const cues = [];
+  const nextDecodeTime = new Map();
+
+  for (const buffer of buffers) {
+    if (!buffer) continue;
+    const view = ArrayBuffer.isView(buffer)
+      ? new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength)
+      : new DataView(buffer);
+    const boxes = readMp4Boxes(view);
+
+    boxes.forEach((box, index) => {
+      if (box.type === 'moov') {
+        tracks = readMp4TextTracks(view, box);
+        return;
+      }
+      if (box.type !== 'moof') return;
+
+      const mdat = boxes.slice(index + 1).find(next => next.type === 'mdat');
+      let nextDataStart = mdat ? mdat.payload : box.end;
+
+      for (const traf of mp4Children(view, box).filter(child => child.type === 'traf')) {
+        const tfhdBox = findMp4Child(view, traf, 'tfhd');
+        if (!tfhdBox) continue;
+
+        const tfhd = readTfhd(view, tfhdBox);
+        const track = tracks.get(tfhd.trackId);
+        if (!track) continue;
+        if (track.encrypted) {
+          throw Object.assign(new Error('Encrypted text track'), { code: 'encrypted-track' });
+        }
+        format = format || track.format;
+
+        const tfdt = findMp4Child(view, traf, 'tfdt');
+        let decodeTime = tfdt
+          ? (view.getUint8(tfdt.payload) === 1 ? readUint64(view, tfdt.payload + 4) : view.getUint32(tfdt.payload + 4))
+          : nextDecodeTime.get(tfhd.trackId) || 0;
+        const base = tfhd.baseDataOffset ?? box.start;
+
+        for (const trunBox of mp4Children(view, traf).filter(child => child.type === 'trun')) {
+          const run = readTrun(view, trunBox);
+          let dataStart = run.dataOffset !== undefined ? base + run.dataOffset : nextDataStart;
+
+          for (const sample of run.samples) {
+            const duration = sample.duration ?? tfhd.duration ?? track.defaults.duration ?? 0;
+            const size = sample.size ?? tfhd.size ?? track.defaults.size ?? 0;
+            const startMs = (decodeTime + (sample.compositionOffset || 0)) / track.timescale * 1000;
+            const endMs = startMs + duration / track.timescale * 1000;
+            const dataEnd = Math.min(dataStart + size, view.byteLength);
+
+            if (size > 0 && dataEnd > dataStart) {
+              const sampleCues = track.format === 'vtt'
+                ? readWvttSample(view, dataStart, dataEnd, Math.round(startMs), Math.round(endMs))
+                : readStppSample(view, dataStart, dataEnd);
+              cues.push(...sampleCues);
+            }
+
+            decodeTime += duration;
+            dataStart += size;
+          }
+          nextDataStart = dataStart;
+        }
+
+        nextDecodeTime.set(tfhd.trackId, decodeTime);
+      }
+    });
+  }
+
+  if (!format) return null;
+  // Cues that continue into the next sample or segment are repeated there
+  return { format, cues: dedupeSegmentCues(cues.filter(cue => cue.text)) };
+}
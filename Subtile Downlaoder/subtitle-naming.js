@@ -0,0 +1,132 @@
+// Filename templates shared by every capture path and the options page.
+// A template mixes literal text with {tokens}; text in [brackets] is dropped
+// when a token inside it is empty, so "[.{lang}]" only adds ".en" when the
+// language is known.
+
+const FILENAME_TOKENS = {
+  show: 'Show or video name from the page title',
+  season: 'Season number, two digits',
+  episode: 'Episode number, two digits',
+  title: 'Full page title without the site name',
+  videoId: 'Video id on sites with an adapter (YouTube, Vimeo)',
+  lang: 'Language code',
+  kind: 'forced, sdh, auto (speech recognition) or translated',
+  source: 'Where it was captured: YouTube, Vimeo, HLS, DASH, TextTrack, Recorded, Generic',
+  date: 'Capture date, YYYY-MM-DD',
+  ext: 'File extension of the stored format'
+};
+
+const FILENAME_PRESETS = {
+  default: { label: 'Default', template: '{show}[_S{season}E{episode}][_{videoId}][_{lang}][_{kind}].{ext}' },
+  plex: { label: 'Plex', template: '{show}[ - S{season}E{episode}][.{lang}][.{kind}].{ext}' },
+  jellyfin: { label: 'Jellyfin', template: '{show}[ S{season}E{episode}][.{lang}][.{kind}].{ext}' },
+  kodi: { label: 'Kodi', template: '{show}[.S{season}E{episode}][.{lang}][.{kind}].{ext}' }
+};
+
+const DEFAULT_FILENAME_TEMPLATE = FILENAME_PRESETS.default.template;
+
+// "S01E02", "Season 1 Episode 2", "1x02"
+const SEASON_EPISODE_PATTERNS = [
+  /\bS(\d{1,2})\s*[.\-_ ]?\s*E(\d{1,3})\b/i,
+  /\bSeason\s*(\d{1,2})\W*Episode\s*(\d{1,3})\b/i,
+  /\b(\d{1,2})x(\d{2})\b/
+];
+
+// Site names appended to page titles
+const TITLE_SITE_SUFFIX = /\s*[-|\u2013\u2014:]\s*(YouTube|Netflix|Hulu|Disney\+|Prime Video|Amazon\.com|Twitch|Vimeo|Dailymotion|Crunchyroll|HBO Max|Max|Peacock|Paramount\+|Apple TV\+?|Tubi|Pluto TV)\s*$/i;
+
+function cleanPageTitle(title) {
+  return String(title || '').replace(TITLE_SITE_SUFFIX, '').replace(/^\(\d+\)\s*/, '').trim();
+}
+
+// { show, season, episode } from a page title (or URL); season and episode are '' when absent
+function parseEpisodeInfo(title, fallbackText = '') {
+  const clean = cleanPageTitle(title);
+
+  for (const text of [clean, fallbackText]) {
+    for (const pattern of SEASON_EPISODE_PATTERNS) {
+      const match = String(text || '').match(pattern);
+      if (!match) continue;
+      const show = text === clean
+        ? clean.slice(0, match.index).replace(/[\s\-|:,.(\u2013\u2014]+$/, '')
+        : clean;
+      return {
+        show,
+        season: String(Number(match[1])).padStart(2, '0'),
+        episode: String(Number(match[2])).padStart(2, '0')
+      };
+    }
+  }
+
+  return { show: clean, season: '', episode: '' };
+}
+
+// Last path segment of a URL without its extension
+function urlBaseName(url) {
+  try {
+    return decodeURIComponent(new URL(url).pathname.split('/').pop()).replace(/\.[a-z0-9]{1,5}$/i, '');
+  } catch {
+    return '';
+  }
+}
+
+// Token values for a capture: { url, pageTitle, pageUrl, videoId, language, kind, source, format, timestamp }.
+// metadata ({ show, season, episode, title } from a site adapter) replaces what the page title gives.
+function filenameFieldsFor(info) {
+  const { show, season, episode, title } = info.metadata || { ...parseEpisodeInfo(info.pageTitle, info.pageUrl), title: cleanPageTitle(info.pageTitle) };
+  const date = new Date(info.timestamp || Date.now());
+  const pad = (value) => String(value).padStart(2, '0');
+
+  return {
+    show: show || urlBaseName(info.url) || 'subtitle',
+    season,
+    episode,
+    title: title || urlBaseName(info.url),
+    videoId: info.videoId || '',
+    lang: info.language || '',
+    kind: info.kind || '',
+    source: info.source || 'Generic',
+    date: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+    ext: SUBTITLE_FORMATS[info.format]?.extension || info.format || 'vtt'
+  };
+}
+
+// Characters no download path may contain
+function sanitizeFilenamePart(value) {
+  return String(value ?? '').replace(/[\/\\?%*:|"<>\u0000-\u001f]/g, '-').replace(/\s+/g, ' ').trim();
+}
+
+function fillFilenameTokens(text, fields) {
+  let missing = false;
+  const filled = text.replace(/\{(\w+)\}/g, (token, name) => {
+    // Unknown tokens count as empty
+    const value = Object.hasOwn(fields, name) ? sanitizeFilenamePart(fields[name]) : '';
+    if (!value) missing = true;
+    return value;
+  });
+  return { filled, missing };
+}
+
+// Render a template; falls back to the default one when the result has no name left
+function renderFilename(template, fields) {
+  const source = String(template || '').trim() || DEFAULT_FILENAME_TEMPLATE;
+
+  // Optional groups first, then the tokens outside them
+  const withGroups = source.replace(/\[([^\]]*)\]/g, (group, inner) => {
+    const { filled, missing } = fillFilenameTokens(inner, fields);
+    return missing ? '' : filled;
+  });
+  let name = sanitizeFilenamePart(fillFilenameTokens(withGroups, fields).filled)
+    .replace(/^[\s.]+|[\s.]+$/g, '');
+
+  const ext = sanitizeFilenamePart(fields.ext);
+  if (ext && !name.toLowerCase().endsWith(`.${ext.toLowerCase()}`)) {
+    name = `${name}.${ext}`;
+  }
+  if (!name.replace(/\.[^.]*$/, '')) {
+    return source === DEFAULT_FILENAME_TEMPLATE
+      ? `subtitle_${Date.now()}.${ext || 'vtt'}`
+      : renderFilename(DEFAULT_FILENAME_TEMPLATE, fields);
+  }
+  return name;
+}
@@ -0,0 +1,123 @@
+// Full-text search over the cue text of stored subtitles.
+// Each subtitle gets one cue index entry: its plain cue texts plus the set of
+// normalized terms they contain. The store indexes the terms (multiEntry), so
+// a query only loads the subtitles holding all of its words; the phrase itself
+// is then matched cue by cue.
+
+// Most results a single search returns
+const MAX_SEARCH_RESULTS = 200;
+
+// Cues shown before and after a match
+const SEARCH_CONTEXT_CUES = 1;
+
+// Scripts written without spaces are indexed one character at a time
+const UNSPACED_SCRIPT_PATTERN = /[\u3040-\u30ff\u4e00-\u9fff\uac00-\ud7af\u0e00-\u0e7f]/u;
+
+// Lower case, no diacritics, single spaces
+function normalizeSearchText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// { start, end } of the first match of query in text, compared the way
+// normalizeSearchText compares them but in offsets of the original text; null if none
+function findNormalizedMatch(text, query) {
+  const needle = normalizeSearchText(query);
+  if (!needle) return null;
+
+  // Normalize one character at a time, remembering where each normalized unit came from
+  let normalized = '';
+  const origins = [];
+  for (let i = 0; i < text.length;) {
+    const char = String.fromCodePoint(text.codePointAt(i));
+    let piece = normalizeSearchText(char) || (/\s/.test(char) ? ' ' : '');
+    if (piece === ' ' && (normalized === '' || normalized.endsWith(' '))) piece = '';
+    for (let k = 0; k < piece.length; k++) origins.push(i);
+    normalized += piece;
+    i += char.length;
+  }
+
+  const position = normalized.indexOf(needle);
+  if (position === -1) return null;
+
+  const last = origins[position + needle.length - 1];
+  let end = last + String.fromCodePoint(text.codePointAt(last)).length;
+  // Keep combining accents with the letter they belong to
+  while (end < text.length && /[\u0300-\u036f]/.test(text[end])) end++;
+  return { start: origins[position], end };
+}
+
+function searchTerms(text) {
+  const terms = [];
+  for (const word of normalizeSearchText(text).match(/[\p{L}\p{N}]+/gu) || []) {
+    if (UNSPACED_SCRIPT_PATTERN.test(word)) {
+      terms.push(...word.match(/[\u3040-\u30ff\u4e00-\u9fff\uac00-\ud7af\u0e00-\u0e7f]|[^\u3040-\u30ff\u4e00-\u9fff\uac00-\ud7af\u0e00-\u0e7f]+/gu));
+    } else {
+      terms.push(word);
+    }
+  }
+  return terms;
+}
+
+// Index entry for a stored record; content that doesn't parse gets an empty
+// entry so it isn't retried on every start
+function buildCueIndexEntry(record) {
+  const { cues } = parseSubtitle(record.content, record.format || String(record.name || '').split('.').pop());
+  const indexedCues = cues
+    .map(cue => ({ start: cue.start, end: cue.end, text: stripCueTags(cue.text) }))
+    .filter(cue => cue.text.trim());
+
+  return {
+    subtitleId: record.id,
+    cues: indexedCues,
+    terms: [...new Set(indexedCues.flatMap(cue => searchTerms(cue.text)))]
+  };
+}
+
+// Page to reopen for a result; YouTube and Vimeo entries jump to the cue's time
+function subtitleDeepLink(meta, startMs) {
+  const seconds = Math.floor(startMs / 1000);
+
+  if (meta.videoId && meta.source === 'Vimeo') {
+    return `https://vimeo.com/${meta.videoId}#t=${seconds}s`;
+  }
+
+  if (meta.videoId && (!meta.source || meta.source === 'YouTube')) {
+    let link;
+    try {
+      link = new URL(meta.pageUrl);
+      if (!/(^|\.)youtube\.com$/.test(link.hostname) || link.searchParams.get('v') !== meta.videoId) link = null;
+    } catch {
+      link = null;
+    }
+    link = link || new URL(`https://www.youtube.com/watch?v=${meta.videoId}`);
+    link.searchParams.set('t', `${seconds}s`);
+    return link.href;
+  }
+
+  return meta.pageUrl || '';
+}
+
+// Matching cues of one index entry with their neighbours: [{ index, start, end, text, before, after }]
+function findCueMatches(entry, query) {
+  const needle = normalizeSearchText(query);
+  if (!needle) return [];
+
+  const matches = [];
+  entry.cues.forEach((cue, index) => {
+    if (!normalizeSearchText(cue.text).includes(needle)) return;
+    matches.push({
+      index,
+      start: cue.start,
+      end: cue.end,
+      text: cue.text,
+      before: entry.cues.slice(Math.max(0, index - SEARCH_CONTEXT_CUES), index).map(item => item.text),
+      after: entry.cues.slice(index + 1, index + 1 + SEARCH_CONTEXT_CUES).map(item => item.text)
+    });
+  });
+  return matches;
+}
@@ -0,0 +1,94 @@
+// Summary statistics and a language guess for parsed cue lists.
+// Shared by the popup preview and any page that lists cues.
+
+// Scripts that identify a language (or a close family) on their own
+const SCRIPT_LANGUAGES = [
+  { language: 'ja', pattern: /[\u3040-\u30ff]/g },
+  { language: 'ko', pattern: /[\uac00-\ud7af\u1100-\u11ff]/g },
+  { language: 'zh', pattern: /[\u4e00-\u9fff]/g },
+  { language: 'ru', pattern: /[\u0400-\u04ff]/g },
+  { language: 'ar', pattern: /[\u0600-\u06ff]/g },
+  { language: 'he', pattern: /[\u0590-\u05ff]/g },
+  { language: 'el', pattern: /[\u0370-\u03ff]/g },
+  { language: 'th', pattern: /[\u0e00-\u0e7f]/g },
+  { language: 'hi', pattern: /[\u0900-\u097f]/g }
+];
+
+// Frequent short words of Latin-script languages
+const STOPWORD_LANGUAGES = {
+  en: ['the', 'and', 'you', 'that', 'is', 'was', 'what', 'this', 'it', 'to', 'of', 'have', 'i\'m', 'don\'t'],
+  es: ['el', 'la', 'que', 'de', 'y', 'los', 'es', 'no', 'por', 'una', 'qué', 'con', 'está', 'pero'],
+  fr: ['le', 'la', 'les', 'et', 'est', 'je', 'vous', 'pas', 'que', 'une', 'c\'est', 'ce', 'qui', 'dans'],
+  de: ['der', 'die', 'und', 'das', 'ist', 'nicht', 'ich', 'du', 'sie', 'ein', 'zu', 'mit', 'es', 'was'],
+  it: ['il', 'che', 'di', 'non', 'è', 'la', 'un', 'per', 'sono', 'ma', 'cosa', 'questo', 'lo', 'gli'],
+  pt: ['que', 'não', 'de', 'o', 'a', 'é', 'um', 'uma', 'você', 'com', 'para', 'isso', 'os', 'está'],
+  nl: ['de', 'het', 'een', 'en', 'van', 'ik', 'niet', 'dat', 'je', 'is', 'wat', 'op', 'zijn', 'er'],
+  pl: ['nie', 'to', 'się', 'jest', 'że', 'na', 'co', 'jak', 'tak', 'w', 'z', 'do', 'ja', 'mnie'],
+  tr: ['bir', 've', 'bu', 'ne', 'için', 'de', 'da', 'ben', 'sen', 'mi', 'çok', 'var', 'değil', 'ama']
+};
+
+// Share of matched words the best stopword list needs before it counts as a guess
+const MIN_STOPWORD_SHARE = 0.08;
+
+// Best-effort language code for a text sample, or '' when unsure
+function guessLanguage(text) {
+  const sample = String(text || '').slice(0, 20000);
+  const letters = sample.replace(/[\s\d\p{P}\p{S}]/gu, '').length;
+  if (letters === 0) return '';
+
+  // Japanese mixes kana with Han characters, so kana is checked first
+  for (const { language, pattern } of SCRIPT_LANGUAGES) {
+    const count = (sample.match(pattern) || []).length;
+    if (count / letters > (language === 'ja' ? 0.05 : 0.3)) return language;
+  }
+
+  const words = sample.toLowerCase().match(/[\p{L}']+/gu) || [];
+  if (words.length === 0) return '';
+
+  let best = '';
+  let bestShare = 0;
+  for (const [language, stopwords] of Object.entries(STOPWORD_LANGUAGES)) {
+    const list = new Set(stopwords);
+    const share = words.filter(word => list.has(word)).length / words.length;
+    if (share > bestShare) {
+      best = language;
+      bestShare = share;
+    }
+  }
+
+  return bestShare >= MIN_STOPWORD_SHARE ? best : '';
+}
+
+// Milliseconds covered by at least one cue (overlapping cues count once)
+function coveredDuration(cues) {
+  const sorted = [...cues].sort((a, b) => a.start - b.start);
+  let covered = 0;
+  let spanStart = null;
+  let spanEnd = null;
+
+  for (const cue of sorted) {
+    if (spanEnd === null || cue.start > spanEnd) {
+      if (spanEnd !== null) covered += spanEnd - spanStart;
+      spanStart = cue.start;
+      spanEnd = cue.end;
+    } else {
+      spanEnd = Math.max(spanEnd, cue.end);
+    }
+  }
+  if (spanEnd !== null) covered += spanEnd - spanStart;
+
+  return covered;
+}
+
+// { cueCount, covered, firstStart, lastEnd, wordCount, language }
+function summarizeCues(cues) {
+  const text = cues.map(cue => stripCueTags(cue.text)).join('\n');
+  return {
+    cueCount: cues.length,
+    covered: coveredDuration(cues),
+    firstStart: cues.length ? Math.min(...cues.map(cue => cue.start)) : 0,
+    lastEnd: cues.length ? Math.max(...cues.map(cue => cue.end)) : 0,
+    wordCount: (text.match(/\S+/g) || []).length,
+    language: guessLanguage(text)
+  };
+}
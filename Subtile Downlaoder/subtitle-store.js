@@ -0,0 +1,228 @@
+// IndexedDB storage layer for captured subtitles.
+// One record per subtitle with its text content; the background worker is the
+// only writer, extension pages reach it through runtime messages.
+
+const SUBTITLE_DB_NAME = 'subtitle-catcher';
+const SUBTITLE_DB_VERSION = 3;
+const SUBTITLE_STORE_NAME = 'subtitles';
+const SUBTITLE_INDEXES = ['videoId', 'source', 'pageUrl', 'timestamp', 'url', 'name'];
+
+// Candidates the validator turned down, kept for debugging (newest only)
+const REJECTION_STORE_NAME = 'rejections';
+const MAX_STORED_REJECTIONS = 100;
+
+// Plain cue text and search terms per subtitle (see subtitle-search.js)
+const CUE_INDEX_STORE_NAME = 'cueIndex';
+
+class SubtitleStore {
+  static dbPromise = null;
+
+  static open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(SUBTITLE_DB_NAME, SUBTITLE_DB_VERSION);
+        request.onupgradeneeded = (event) => this.upgrade(request.result, event.oldVersion);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      }).catch(error => {
+        this.dbPromise = null;
+        throw error;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  static upgrade(db, oldVersion) {
+    if (oldVersion < 1) {
+      const store = db.createObjectStore(SUBTITLE_STORE_NAME, { keyPath: 'id', autoIncrement: true });
+      SUBTITLE_INDEXES.forEach(name => store.createIndex(name, name));
+    }
+    if (oldVersion < 2) {
+      const rejections = db.createObjectStore(REJECTION_STORE_NAME, { keyPath: 'id', autoIncrement: true });
+      rejections.createIndex('timestamp', 'timestamp');
+    }
+    if (oldVersion < 3) {
+      const cueIndex = db.createObjectStore(CUE_INDEX_STORE_NAME, { keyPath: 'subtitleId' });
+      cueIndex.createIndex('terms', 'terms', { multiEntry: true });
+    }
+  }
+
+  // Run fn(store) in a transaction; resolves with the last request's result once committed
+  static async run(mode, fn, storeName = SUBTITLE_STORE_NAME) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const request = fn(tx.objectStore(storeName));
+      let result;
+      if (request) {
+        request.onsuccess = () => { result = request.result; };
+      }
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+  }
+
+  static async add(record) {
+    const size = record.size ?? new TextEncoder().encode(record.content || '').length;
+    return this.run('readwrite', store => store.add({ ...record, size }));
+  }
+
+  // Replace a stored record (same id)
+  static async put(record) {
+    const size = new TextEncoder().encode(record.content || '').length;
+    return this.run('readwrite', store => store.put({ ...record, size }));
+  }
+
+  static async get(id) {
+    return this.run('readonly', store => store.get(id));
+  }
+
+  static async getByIndex(indexName, value) {
+    if (value === undefined || value === null || value === '') return [];
+    return this.run('readonly', store => store.index(indexName).getAll(value));
+  }
+
+  // Full records, newest first
+  static async getAll() {
+    const records = await this.run('readonly', store => store.index('timestamp').getAll());
+    return (records || []).reverse();
+  }
+
+  // Records without their content, newest first (what lists and popups need)
+  static async list() {
+    const records = await this.getAll();
+    return records.map(({ content, ...meta }) => meta);
+  }
+
+  // Ids of every stored record, read from the keys alone
+  static async listIds() {
+    return (await this.run('readonly', store => store.getAllKeys())) || [];
+  }
+
+  // Ids of records older than cutoff or beyond the newest maxCount (0 turns a limit off).
+  // Only the timestamp index is walked, so no record is loaded.
+  static async expiredIds(maxCount, cutoff) {
+    const ids = new Set();
+    if (cutoff) {
+      const old = await this.run('readonly', store => store.index('timestamp').getAllKeys(IDBKeyRange.upperBound(cutoff, true)));
+      (old || []).forEach(id => ids.add(id));
+    }
+
+    const count = maxCount ? await this.run('readonly', store => store.index('timestamp').count()) : 0;
+    let excess = count - maxCount;
+    if (excess > 0) {
+      await this.run('readonly', store => {
+        store.index('timestamp').openKeyCursor().onsuccess = (event) => {
+          const cursor = event.target.result;
+          if (cursor && excess-- > 0) {
+            ids.add(cursor.primaryKey);
+            cursor.continue();
+          }
+        };
+      });
+    }
+    return [...ids];
+  }
+
+  static async delete(ids) {
+    const keys = Array.isArray(ids) ? ids : [ids];
+    await this.run('readwrite', store => {
+      keys.forEach(id => store.delete(id));
+    }, CUE_INDEX_STORE_NAME);
+    return this.run('readwrite', store => {
+      keys.forEach(id => store.delete(id));
+    });
+  }
+
+  static async clear() {
+    await this.run('readwrite', store => store.clear(), CUE_INDEX_STORE_NAME);
+    return this.run('readwrite', store => store.clear());
+  }
+
+  static async putCueIndex(entry) {
+    return this.run('readwrite', store => store.put(entry), CUE_INDEX_STORE_NAME);
+  }
+
+  static async listCueIndexIds() {
+    return (await this.run('readonly', store => store.getAllKeys(), CUE_INDEX_STORE_NAME)) || [];
+  }
+
+  // Index entries holding every term; the last term also matches as a prefix
+  // so a query typed up to the middle of a word still finds it
+  static async searchCueIndex(terms) {
+    if (terms.length === 0) return [];
+
+    const lookups = terms.map((term, position) => position === terms.length - 1
+      ? IDBKeyRange.bound(term, `${term}\uffff`)
+      : IDBKeyRange.only(term));
+
+    // Subtitle ids per term, intersected starting from the smallest set
+    const candidates = [];
+    for (const range of lookups) {
+      const keys = await this.run('readonly', store => store.index('terms').getAllKeys(range), CUE_INDEX_STORE_NAME);
+      candidates.push(new Set(keys || []));
+    }
+    candidates.sort((a, b) => a.size - b.size);
+
+    const ids = [...candidates[0]].filter(id => candidates.every(set => set.has(id)));
+    const entries = [];
+    for (const id of ids) {
+      const entry = await this.run('readonly', store => store.get(id), CUE_INDEX_STORE_NAME);
+      if (entry) entries.push(entry);
+    }
+    return entries;
+  }
+
+  static async addRejection(record) {
+    await this.run('readwrite', store => store.add(record), REJECTION_STORE_NAME);
+
+    const count = await this.run('readonly', store => store.count(), REJECTION_STORE_NAME);
+    if (count <= MAX_STORED_REJECTIONS) return;
+
+    // Drop the oldest entries beyond the cap
+    let excess = count - MAX_STORED_REJECTIONS;
+    await this.run('readwrite', store => {
+      store.index('timestamp').openCursor().onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (cursor && excess-- > 0) {
+          cursor.delete();
+          cursor.continue();
+        }
+      };
+    }, REJECTION_STORE_NAME);
+  }
+
+  // Rejected candidates, newest first
+  static async listRejections() {
+    const records = await this.run('readonly', store => store.index('timestamp').getAll(), REJECTION_STORE_NAME);
+    return (records || []).reverse();
+  }
+
+  static async clearRejections() {
+    return this.run('readwrite', store => store.clear(), REJECTION_STORE_NAME);
+  }
+
+  // One-time move of the old base64 array in chrome.storage.local into IndexedDB
+  static async migrateFromStorageLocal() {
+    const { subtitles } = await chrome.storage.local.get('subtitles');
+    if (!Array.isArray(subtitles) || subtitles.length === 0) return 0;
+
+    let migrated = 0;
+    for (const { data, ...meta } of subtitles) {
+      if (!data) continue;
+      const binary = atob(data);
+      let content;
+      try {
+        content = decodeURIComponent(escape(binary));
+      } catch {
+        content = binary;
+      }
+      await this.add({ ...meta, content });
+      migrated++;
+    }
+
+    await chrome.storage.local.remove('subtitles');
+    return migrated;
+  }
+}
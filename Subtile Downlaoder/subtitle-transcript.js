@@ -0,0 +1,249 @@
+// Transcripts: cue text without timing, merged into sentences or paragraphs.
+// Rolling captions (YouTube ASR repeats the previous line at the top of every
+// cue) are de-duplicated first, then the text is split on sentence punctuation
+// or pauses and written as plain text, Markdown or a small HTML document.
+
+const TRANSCRIPT_FORMATS = {
+  txt: { label: 'Plain text', extension: 'txt', mimeType: 'text/plain' },
+  md: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown' },
+  html: { label: 'HTML', extension: 'html', mimeType: 'text/html' }
+};
+
+const TRANSCRIPT_LAYOUTS = {
+  paragraphs: 'Paragraphs',
+  sentences: 'One sentence per line'
+};
+
+// Seconds between [hh:mm:ss] markers offered in the popup (0 for none)
+const TRANSCRIPT_MARKER_INTERVALS = {
+  0: 'No time markers',
+  30: 'Markers every 30s',
+  60: 'Markers every minute',
+  300: 'Markers every 5 min'
+};
+
+// Pauses (ms) that end a sentence without punctuation, and a paragraph
+const SENTENCE_BREAK_GAP = 1500;
+const PARAGRAPH_BREAK_GAP = 3000;
+
+// Upper bounds before a sentence or paragraph is cut anyway
+const MAX_SENTENCE_LENGTH = 300;
+const MAX_PARAGRAPH_SENTENCES = 6;
+
+// Recently written lines a rolling cue may repeat
+const ROLLING_LINE_WINDOW = 3;
+
+const SENTENCE_END_PATTERN = /[.!?\u2026\u3002\uff01\uff1f]["'\u201d\u2019)\]]*$/;
+const UNSPACED_TEXT_PATTERN = /[\u3040-\u30ff\u4e00-\u9fff]/;
+
+function normalizeTranscriptLine(line) {
+  return line.toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+// New text of every cue: [{ start, end, text }] with repeated rolling lines removed
+function dedupeRollingCues(cues) {
+  const recent = [];
+  const pieces = [];
+
+  for (const cue of cues) {
+    const lines = stripCueTags(cue.text)
+      .split('\n')
+      .map(line => line.replace(/\s+/g, ' ').trim())
+      .filter(Boolean);
+
+    const fresh = [];
+    for (const line of lines) {
+      const normalized = normalizeTranscriptLine(line);
+      const last = recent[recent.length - 1];
+
+      // Leading lines the previous cues already showed
+      if (fresh.length === 0 && recent.includes(normalized)) continue;
+
+      // A line that grows word by word: keep only what was added
+      if (fresh.length === 0 && last && normalized.startsWith(`${last} `)) {
+        fresh.push(line.slice(line.length - (normalized.length - last.length)).trim());
+        recent[recent.length - 1] = normalized;
+        continue;
+      }
+
+      fresh.push(line);
+      recent.push(normalized);
+      if (recent.length > ROLLING_LINE_WINDOW) recent.shift();
+    }
+
+    if (fresh.length) {
+      pieces.push({ start: cue.start, end: cue.end, text: fresh.join(' ') });
+    }
+  }
+
+  return pieces;
+}
+
+function joinTranscriptText(a, b) {
+  if (!a) return b;
+  const glue = UNSPACED_TEXT_PATTERN.test(a.slice(-1)) && UNSPACED_TEXT_PATTERN.test(b[0]) ? '' : ' ';
+  return `${a}${glue}${b}`;
+}
+
+// Sentences with the time they start: [{ start, end, text }]
+function splitTranscriptSentences(pieces) {
+  const sentences = [];
+  let current = null;
+
+  const flush = () => {
+    if (current?.text) sentences.push(current);
+    current = null;
+  };
+
+  for (const piece of pieces) {
+    if (current && piece.start - current.end > SENTENCE_BREAK_GAP) flush();
+
+    for (const part of piece.text.split(/(?<=[.!?\u2026\u3002\uff01\uff1f]["'\u201d\u2019)\]]*)\s+/)) {
+      if (!current) current = { start: piece.start, end: piece.end, text: '' };
+      current.text = joinTranscriptText(current.text, part);
+      current.end = piece.end;
+      if (SENTENCE_END_PATTERN.test(part) || current.text.length > MAX_SENTENCE_LENGTH) flush();
+    }
+  }
+  flush();
+
+  return sentences;
+}
+
+// Paragraphs of sentences, split on longer pauses
+function groupTranscriptParagraphs(sentences) {
+  const paragraphs = [];
+  let current = [];
+
+  sentences.forEach((sentence, index) => {
+    const previous = sentences[index - 1];
+    if (current.length && (sentence.start - previous.end > PARAGRAPH_BREAK_GAP || current.length >= MAX_PARAGRAPH_SENTENCES)) {
+      paragraphs.push(current);
+      current = [];
+    }
+    current.push(sentence);
+  });
+  if (current.length) paragraphs.push(current);
+
+  return paragraphs;
+}
+
+// [hh:mm:ss]
+function formatTranscriptTime(ms) {
+  const totalSeconds = Math.floor(ms / 1000);
+  return [Math.floor(totalSeconds / 3600), Math.floor(totalSeconds / 60) % 60, totalSeconds % 60]
+    .map(part => String(part).padStart(2, '0'))
+    .join(':');
+}
+
+// Blocks of sentences; sentences get a marker once every markerInterval seconds
+function buildTranscriptBlocks(cues, options = {}) {
+  const sentences = splitTranscriptSentences(dedupeRollingCues(cues));
+  const interval = (Number(options.markerInterval) || 0) * 1000;
+  let nextMarker = 0;
+
+  for (const sentence of sentences) {
+    if (interval > 0 && sentence.start >= nextMarker) {
+      sentence.marker = sentence.start;
+      nextMarker = (Math.floor(sentence.start / interval) + 1) * interval;
+    }
+  }
+
+  return options.layout === 'sentences'
+    ? sentences.map(sentence => [sentence])
+    : groupTranscriptParagraphs(sentences);
+}
+
+function escapeMarkdown(text) {
+  return String(text).replace(/([\\`*_[\]<>])/g, '\\$1').replace(/^(\s*)([#>+-]|\d+\.)(\s)/, '$1\\$2$3');
+}
+
+function transcriptToText(blocks, options) {
+  const header = [options.title, options.url].filter(Boolean);
+  const body = blocks.map(block => block.map(sentence =>
+    (sentence.marker !== undefined ? `[${formatTranscriptTime(sentence.marker)}] ` : '') + sentence.text
+  ).join(' '));
+
+  const separator = options.layout === 'sentences' ? '\n' : '\n\n';
+  return (header.length ? `${header.join('\n')}\n\n` : '') + body.join(separator) + '\n';
+}
+
+function transcriptToMarkdown(blocks, options) {
+  const header = [];
+  if (options.title) header.push(`# ${escapeMarkdown(options.title)}`);
+  if (options.url) header.push(`<${options.url}>`);
+
+  const body = blocks.map(block => block.map(sentence => {
+    let marker = '';
+    if (sentence.marker !== undefined) {
+      const time = formatTranscriptTime(sentence.marker);
+      const link = options.linkAt?.(sentence.marker);
+      marker = link ? `[\\[${time}\\]](${link}) ` : `**\\[${time}\\]** `;
+    }
+    return marker + escapeMarkdown(sentence.text);
+  }).join(' '));
+
+  // Markdown needs a blank line between paragraphs; single sentences use hard line breaks
+  const separator = options.layout === 'sentences' ? '  \n' : '\n\n';
+  return (header.length ? `${header.join('\n\n')}\n\n` : '') + body.join(separator) + '\n';
+}
+
+function transcriptToHtml(blocks, options) {
+  const title = escapeXml(options.title || 'Transcript');
+  const lines = [
+    '<!DOCTYPE html>',
+    '<html>',
+    '<head>',
+    '  <meta charset="UTF-8">',
+    `  <title>${title}</title>`,
+    '  <style>body { font-family: sans-serif; max-width: 760px; margin: 2em auto; line-height: 1.6; } .ts { color: #777; font-family: monospace; }</style>',
+    '</head>',
+    '<body>',
+    `  <h1>${title}</h1>`
+  ];
+  if (options.url) {
+    lines.push(`  <p><a href="${escapeXml(options.url)}">${escapeXml(options.url)}</a></p>`);
+  }
+
+  for (const block of blocks) {
+    const text = block.map(sentence => {
+      let marker = '';
+      if (sentence.marker !== undefined) {
+        const time = `[${formatTranscriptTime(sentence.marker)}]`;
+        const link = options.linkAt?.(sentence.marker);
+        marker = link
+          ? `<a class="ts" href="${escapeXml(link)}">${time}</a> `
+          : `<span class="ts">${time}</span> `;
+      }
+      return marker + escapeXml(sentence.text);
+    }).join(' ');
+    lines.push(`  <p>${text}</p>`);
+  }
+
+  lines.push('</body>', '</html>');
+  return lines.join('\n') + '\n';
+}
+
+const TRANSCRIPT_WRITERS = {
+  txt: transcriptToText,
+  md: transcriptToMarkdown,
+  html: transcriptToHtml
+};
+
+// Transcript of a subtitle text; returns { content, extension, mimeType }.
+// options: { format, layout, markerInterval (seconds, 0 for none), title, url, linkAt(ms) }
+function buildTranscript(content, options = {}) {
+  const { cues } = parseSubtitle(content, options.sourceFormat);
+  if (cues.length === 0) {
+    throw new Error('No cues to build a transcript from');
+  }
+
+  const format = TRANSCRIPT_FORMATS[options.format] ? options.format : 'txt';
+  const blocks = buildTranscriptBlocks(cues, options);
+
+  return {
+    content: TRANSCRIPT_WRITERS[format](blocks, options),
+    extension: TRANSCRIPT_FORMATS[format].extension,
+    mimeType: TRANSCRIPT_FORMATS[format].mimeType
+  };
+}
@@ -0,0 +1,109 @@
+// Structural validation of captured subtitle candidates.
+// A candidate is run through the real parsers from subtitle-formats.js and only
+// accepted when it yields enough well-formed cues in time order. The verdict
+// carries a confidence score and, for rejections, a reason kept for debugging.
+
+const VALIDATION_DEFAULTS = {
+  minCues: 2,
+  minConfidence: 0.5
+};
+
+// Cues longer than this or with more text than this are not real captions
+const MAX_CUE_DURATION = 60 * 60 * 1000;
+const MAX_CUE_TEXT_LENGTH = 1000;
+
+// Share of cues allowed to start before the cue written above them
+const MAX_OUT_OF_ORDER_SHARE = 0.2;
+
+// ASS events may be listed in any order; players sort them
+const UNORDERED_FORMATS = ['ass'];
+
+// Plain-text formats where stray text between cues lowers the confidence
+const BLOCK_FORMATS = ['srt', 'vtt', 'sbv'];
+
+const REJECTION_REASONS = {
+  'empty': 'Empty content',
+  'html-document': 'HTML document',
+  'unrecognized-format': 'No subtitle format recognized',
+  'too-few-cues': 'Too few well-formed cues',
+  'out-of-order': 'Cues are not in time order',
+  'low-confidence': 'Confidence below threshold'
+};
+
+function looksLikeHtmlDocument(text) {
+  const head = text.slice(0, 1000).replace(/^(?:\s*<!--[\s\S]*?-->)*\s*/, '');
+  return /^<!doctype\s+html/i.test(head) || /^<html[\s>]/i.test(head);
+}
+
+function isWellFormedCue(cue) {
+  const duration = cue.end - cue.start;
+  return cue.start >= 0 && duration > 0 && duration <= MAX_CUE_DURATION && cue.text.length <= MAX_CUE_TEXT_LENGTH;
+}
+
+// Share of the text (by characters) that sits in cue or header blocks
+function blockCoverage(content) {
+  let total = 0;
+  let covered = 0;
+  for (const block of splitBlocks(content)) {
+    const trimmed = block.trim();
+    if (!trimmed) continue;
+    total += trimmed.length;
+    if (/-->|^\d+:\d{2}:\d{2}\.\d{3},\d+:\d{2}:\d{2}\.\d{3}/m.test(trimmed) || /^(WEBVTT|NOTE|STYLE|REGION)\b/.test(trimmed)) {
+      covered += trimmed.length;
+    }
+  }
+  return total === 0 ? 0 : covered / total;
+}
+
+function rejectCandidate(reason, format, confidence, cueCount, detail = '') {
+  return {
+    valid: false,
+    format,
+    confidence,
+    cueCount,
+    reason,
+    detail: detail || REJECTION_REASONS[reason]
+  };
+}
+
+// Validate subtitle text; returns { valid, format, confidence, cueCount, reason, detail }
+function validateSubtitleContent(content, options = {}) {
+  const { hint = '', minCues, minConfidence } = { ...VALIDATION_DEFAULTS, ...options };
+  const text = String(content || '').replace(/^\uFEFF/, '');
+
+  if (!text.trim()) return rejectCandidate('empty', null, 0, 0);
+  if (looksLikeHtmlDocument(text)) return rejectCandidate('html-document', null, 0, 0);
+
+  const format = detectSubtitleFormat(text, hint);
+  if (!format) return rejectCandidate('unrecognized-format', null, 0, 0);
+
+  let cues;
+  try {
+    cues = SUBTITLE_PARSERS[format](text);
+  } catch (error) {
+    return rejectCandidate('unrecognized-format', format, 0, 0, `${format} parser failed: ${error.message}`);
+  }
+
+  const stats = cueListStats(cues) || { parsed: cues.length, dropped: 0, reversed: 0, outOfOrder: 0 };
+  const wellFormed = cues.filter(isWellFormedCue).length;
+  const ordered = UNORDERED_FORMATS.includes(format) ? 1 : 1 - stats.outOfOrder / Math.max(1, stats.parsed);
+  const structure = wellFormed / Math.max(1, stats.parsed);
+  const amount = Math.min(1, wellFormed / 5);
+  const coverage = BLOCK_FORMATS.includes(format) ? blockCoverage(text) : 1;
+  const confidence = Math.round((0.35 * structure + 0.2 * ordered + 0.15 * amount + 0.3 * coverage) * 100) / 100;
+
+  if (wellFormed < minCues) {
+    return rejectCandidate('too-few-cues', format, confidence, wellFormed,
+      `${wellFormed} well-formed ${format} cue(s) out of ${stats.parsed}, need ${minCues}`);
+  }
+  if (1 - ordered > MAX_OUT_OF_ORDER_SHARE) {
+    return rejectCandidate('out-of-order', format, confidence, wellFormed,
+      `${stats.outOfOrder} of ${stats.parsed} cues start before the previous cue`);
+  }
+  if (confidence < minConfidence) {
+    return rejectCandidate('low-confidence', format, confidence, wellFormed,
+      `Confidence ${confidence} is below ${minConfidence}`);
+  }
+
+  return { valid: true, format, confidence, cueCount: wellFormed, reason: '', detail: '' };
+}
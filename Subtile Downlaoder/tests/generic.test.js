@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, readFixture, plain, ADAPTER_SCRIPTS } = require('./helpers');
+
+const script = loadScripts(ADAPTER_SCRIPTS);
+const adapter = script('GENERIC_ADAPTER');
+
+test('recorded requests are classified by URL and content type', () => {
+  const classifySiteRequest = script('classifySiteRequest');
+
+  for (const { note, expected, ...details } of JSON.parse(readFixture('generic-requests.json'))) {
+    const match = classifySiteRequest(details);
+    assert.deepEqual(match && { adapter: match.adapter.id, kind: match.kind }, expected, note);
+  }
+});
+
+test('before the response only the URL decides', () => {
+  assert.equal(adapter.classifyRequest({ url: 'https://cdn.example.com/subs/movie_en.srt' }), 'subtitle');
+  assert.equal(adapter.classifyRequest({ url: 'https://api.example.com/v2/assets/9f3c/text?lang=de' }), null);
+});
+
+test('metadataFor reads show, season and episode from the page title', () => {
+  assert.deepEqual(plain(adapter.metadataFor({ url: 'https://www.netflix.com/watch/80117470', title: 'Breaking Bad - S02E03 - Bit by a Dead Bee | Netflix' })),
+    { show: 'Breaking Bad', season: '02', episode: '03', title: 'Breaking Bad - S02E03 - Bit by a Dead Bee' });
+  assert.deepEqual(plain(adapter.metadataFor({ url: 'https://example.com/shows/the-office/3x07', title: 'The Office' })),
+    { show: 'The Office', season: '03', episode: '07', title: 'The Office' });
+  // A title a site adapter found for the video wins over the tab title
+  assert.deepEqual(plain(adapter.metadataFor({ url: 'https://blog.example.com/post', title: 'My blog', videoTitle: 'Season 1 Episode 4' })),
+    { show: '', season: '01', episode: '04', title: 'Season 1 Episode 4' });
+  assert.equal(adapter.discoverTracks, undefined);
+});
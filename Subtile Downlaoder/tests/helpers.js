@@ -0,0 +1,57 @@
+// Loads extension scripts for tests. The extension's scripts are classic
+// scripts sharing one global scope (importScripts in the worker, script tags
+// in pages), so they are run the same way here: in order, in one vm context.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const EXTENSION_DIR = path.join(__dirname, '..');
+const FIXTURE_DIR = path.join(__dirname, 'fixtures');
+
+// Top-level names of the loaded scripts, by name (const and class bindings
+// are not properties of the global object, so they are evaluated)
+function loadScripts(files, globals = {}) {
+  const context = vm.createContext({ console, URL, TextDecoder, TextEncoder, ...globals });
+  files.forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(EXTENSION_DIR, file), 'utf8'), context, { filename: file });
+  });
+  return (name) => vm.runInContext(name, context);
+}
+
+function readFixture(name) {
+  return fs.readFileSync(path.join(FIXTURE_DIR, name), 'utf8');
+}
+
+// Adapter hook context answering fetchText from fixtures: { urlPrefix: fixtureName }.
+// Other URLs fail like an HTTP 404; every requested URL is kept in requested.
+function fixtureContext(responses) {
+  const requested = [];
+  return {
+    requested,
+    log() {},
+    async fetchText(url) {
+      requested.push(url);
+      const entry = Object.entries(responses).find(([prefix]) => url.startsWith(prefix));
+      if (!entry) throw new Error('HTTP 404');
+      return readFixture(entry[1]);
+    }
+  };
+}
+
+// Plain copies, so deepStrictEqual doesn't trip over the vm context's prototypes
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+// Scripts every adapter needs, in the worker's importScripts order
+const ADAPTER_SCRIPTS = [
+  'subtitle-formats.js',
+  'subtitle-naming.js',
+  'adapters/registry.js',
+  'adapters/youtube.js',
+  'adapters/vimeo.js',
+  'adapters/generic.js'
+];
+
+module.exports = { loadScripts, readFixture, fixtureContext, plain, ADAPTER_SCRIPTS };
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, ADAPTER_SCRIPTS } = require('./helpers');
+
+const script = loadScripts(ADAPTER_SCRIPTS);
+
+test('match patterns follow Chrome semantics', () => {
+  const urlMatchesPattern = script('urlMatchesPattern');
+
+  assert.equal(urlMatchesPattern('https://www.youtube.com/watch?v=dQw4w9WgXcQ', '*://*.youtube.com/*'), true);
+  assert.equal(urlMatchesPattern('https://youtube.com/', '*://*.youtube.com/*'), true);
+  assert.equal(urlMatchesPattern('https://notyoutube.com/', '*://*.youtube.com/*'), false);
+  assert.equal(urlMatchesPattern('http://localhost:8080/x', '*://localhost/*'), true);
+  assert.equal(urlMatchesPattern('ftp://example.com/x', '*://example.com/*'), false);
+  assert.equal(urlMatchesPattern('https://a.example/b/c.vtt', '<all_urls>'), true);
+  assert.equal(urlMatchesPattern('https://www.youtube.com/api/timedtext?v=1', '*://*.youtube.com/api/timedtext*'), true);
+  assert.throws(() => script('matchPatternToRegExp')('youtube.com'), /Invalid match pattern/);
+});
+
+test('pages go to the first specific adapter, everything else to the fallback', () => {
+  const siteAdapterFor = script('siteAdapterFor');
+
+  assert.equal(siteAdapterFor('https://www.youtube.com/watch?v=dQw4w9WgXcQ').id, 'youtube');
+  assert.equal(siteAdapterFor('https://youtu.be/dQw4w9WgXcQ').id, 'youtube');
+  assert.equal(siteAdapterFor('https://example.com/video').id, 'generic');
+  assert.equal(siteAdapterFor('').id, 'generic');
+});
+
+test('registered adapters get default hooks and need a unique id', () => {
+  const registerSiteAdapter = script('registerSiteAdapter');
+  const adapter = registerSiteAdapter({ id: 'test-site', matches: ['*://test.example/*'] });
+
+  assert.equal(adapter.label, 'test-site');
+  assert.equal(adapter.classifyRequest({ url: 'https://test.example/a.vtt' }), null);
+  assert.equal(adapter.videoIdFor('https://test.example/v/1'), '');
+  assert.deepEqual({ ...adapter.filenameHints({}, {}) }, {});
+  assert.equal(script('siteAdapterById')('test-site'), adapter);
+  assert.throws(() => registerSiteAdapter({ id: 'test-site' }), /unique id/);
+});
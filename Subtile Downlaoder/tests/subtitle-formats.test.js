@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers');
+
+const script = loadScripts(['subtitle-formats.js']);
+const convertSubtitle = script('convertSubtitle');
+
+const SRT = [
+  '1',
+  '00:00:01,000 --> 00:00:03,000',
+  'Tom & Jerry',
+  '',
+  '2',
+  '00:00:04,000 --> 00:00:06,000',
+  '<i>5 < 6</i> and <b>bold</b>',
+  ''
+].join('\n');
+
+test('SRT output keeps & as plain text', () => {
+  const srt = convertSubtitle(SRT, 'srt', 'srt');
+
+  assert.match(srt, /^Tom & Jerry$/m);
+  assert.doesNotMatch(srt, /&amp;/);
+  assert.equal(convertSubtitle(srt, 'srt', 'srt'), srt);
+});
+
+test('SRT output keeps style tags and neutralizes stray angle brackets', () => {
+  assert.match(convertSubtitle(SRT, 'srt', 'srt'), /^<i>5 ‹ 6<\/i> and <b>bold<\/b>$/m);
+});
+
+test('YouTube json3 to SRT does not write entities', () => {
+  const json3 = JSON.stringify({ events: [{ tStartMs: 0, dDurationMs: 2000, segs: [{ utf8: 'Salt & pepper' }] }] });
+  assert.match(convertSubtitle(json3, 'srt', 'json3'), /^Salt & pepper$/m);
+});
+
+test('WebVTT and TTML output still escape markup', () => {
+  assert.match(convertSubtitle(SRT, 'vtt', 'srt'), /^Tom &amp; Jerry$/m);
+  assert.match(convertSubtitle(SRT, 'ttml', 'srt'), /Tom &amp; Jerry/);
+});
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, readFixture, fixtureContext, plain, ADAPTER_SCRIPTS } = require('./helpers');
+
+const script = loadScripts(ADAPTER_SCRIPTS);
+const adapter = script('VIMEO_ADAPTER');
+
+const VIDEO_ID = '76979871';
+const TITLE = 'The New Vimeo Player (You Know, For Videos)';
+const CONFIG_URL = `https://player.vimeo.com/video/${VIDEO_ID}/config`;
+
+const EXPECTED_TRACKS = [
+  { url: 'https://player.vimeo.com/texttrack/113405126.vtt?token=66f5a2f0_0x9e1a3b', language: 'en', label: 'English (CC)', kind: 'captions', format: 'vtt' },
+  { url: 'https://player.vimeo.com/texttrack/113405127.vtt?token=66f5a2f0_0x4c2d1e', language: 'fr', label: 'Français', kind: 'subtitles', format: 'vtt' },
+  { url: 'https://player.vimeo.com/texttrack/163888410.vtt?token=66f5a2f0_0x7f6e5d', language: 'en', label: 'English (auto-generated)', kind: 'asr', format: 'vtt' }
+];
+
+test('videoIdFor reads clip, channel and player URLs', () => {
+  assert.equal(adapter.videoIdFor(`https://vimeo.com/${VIDEO_ID}`), VIDEO_ID);
+  assert.equal(adapter.videoIdFor(`https://vimeo.com/${VIDEO_ID}/8ac12f7d25`), VIDEO_ID);
+  assert.equal(adapter.videoIdFor(`https://vimeo.com/channels/staffpicks/${VIDEO_ID}`), VIDEO_ID);
+  assert.equal(adapter.videoIdFor(`https://player.vimeo.com/video/${VIDEO_ID}?h=8ac12f7d25`), VIDEO_ID);
+  assert.equal(adapter.videoIdFor(`${CONFIG_URL}?autopause=1`), VIDEO_ID);
+  assert.equal(adapter.videoIdFor('https://vimeo.com/staff'), '');
+  assert.equal(adapter.videoIdFor(`https://example.com/video/${VIDEO_ID}`), '');
+  assert.equal(adapter.videoIdFor(''), '');
+});
+
+test('extractVimeoPlayerConfig reads window.playerConfig from the embed page', () => {
+  const found = script('extractVimeoPlayerConfig')(readFixture('vimeo-embed.html'));
+
+  assert.equal(found.config.video.title, TITLE);
+  assert.equal(found.config.request.text_tracks.length, 4);
+});
+
+test('extractVimeoPlayerConfig finds the config URL on a clip page', () => {
+  const found = script('extractVimeoPlayerConfig')(readFixture('vimeo-clip.html'));
+
+  assert.equal(found.config, undefined);
+  assert.match(found.configUrl, /^https:\/\/player\.vimeo\.com\/video\/76979871\/config\?.*&h=8ac12f7d25&/);
+  assert.equal(script('extractVimeoPlayerConfig')('<html><body>No player here</body></html>'), null);
+});
+
+test('describeVimeoTextTracks lists every track with a URL, auto-generated ones too', () => {
+  const config = JSON.parse(readFixture('vimeo-config.json'));
+
+  assert.deepEqual(plain(script('describeVimeoTextTracks')(config)), EXPECTED_TRACKS);
+  assert.deepEqual(plain(script('describeVimeoTextTracks')({ request: {} })), []);
+});
+
+test('config requests start a track capture; the player\'s own track requests are left alone', () => {
+  const classifySiteRequest = script('classifySiteRequest');
+  const match = classifySiteRequest({ url: `${CONFIG_URL}?autopause=1&h=8ac12f7d25` });
+
+  assert.equal(match.adapter.id, 'vimeo');
+  assert.equal(match.kind, 'tracks');
+  assert.equal(classifySiteRequest({ url: EXPECTED_TRACKS[0].url }), null);
+});
+
+test('discoverTracks reads the config request of an embedded player', async () => {
+  const context = fixtureContext({ [CONFIG_URL]: 'vimeo-config.json' });
+  const result = plain(await adapter.discoverTracks({
+    url: 'https://blog.example.com/post',
+    title: 'A blog post',
+    requestUrl: `${CONFIG_URL}?autopause=1`
+  }, context));
+
+  assert.deepEqual(context.requested, [`${CONFIG_URL}?autopause=1`]);
+  assert.deepEqual(result, { title: TITLE, tracks: EXPECTED_TRACKS });
+});
+
+test('discoverTracks follows the clip page to its config', async () => {
+  const context = fixtureContext({ 'https://vimeo.com/': 'vimeo-clip.html', [CONFIG_URL]: 'vimeo-config.json' });
+  const result = await adapter.discoverTracks({ url: `https://vimeo.com/${VIDEO_ID}`, title: `${TITLE} on Vimeo` }, context);
+
+  assert.equal(context.requested.length, 2);
+  assert.match(context.requested[1], /&h=8ac12f7d25&/);
+  assert.equal(result.tracks.length, 3);
+});
+
+test('discoverTracks uses an embed page config without another request', async () => {
+  const context = fixtureContext({ 'https://player.vimeo.com/video/': 'vimeo-embed.html' });
+  const result = await adapter.discoverTracks({ url: `https://player.vimeo.com/video/${VIDEO_ID}`, title: '' }, context);
+
+  assert.equal(context.requested.length, 1);
+  assert.equal(result.title, TITLE);
+});
+
+test('discoverTracks resolves null when no config can be read', async () => {
+  const context = fixtureContext({});
+  assert.equal(await adapter.discoverTracks({ url: `https://vimeo.com/${VIDEO_ID}` }, context), null);
+});
+
+test('files are named after the video title, language and kind', () => {
+  const page = { url: 'https://blog.example.com/post', title: 'A blog post', videoTitle: TITLE };
+  const fields = script('filenameFieldsFor')({
+    url: EXPECTED_TRACKS[2].url,
+    videoId: VIDEO_ID,
+    language: 'en',
+    format: 'vtt',
+    metadata: adapter.metadataFor(page),
+    ...adapter.filenameHints(page, EXPECTED_TRACKS[2])
+  });
+
+  assert.equal(script('renderFilename')('', fields), `${TITLE}_${VIDEO_ID}_en_auto.vtt`);
+  assert.deepEqual(plain(adapter.filenameHints(page, EXPECTED_TRACKS[0])), { kind: 'sdh' });
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, readFixture, fixtureContext, plain, ADAPTER_SCRIPTS } = require('./helpers');
+
+const script = loadScripts(ADAPTER_SCRIPTS);
+const adapter = script('YOUTUBE_ADAPTER');
+
+const VIDEO_ID = 'dQw4w9WgXcQ';
+const TITLE = 'Rick Astley - Never Gonna Give You Up (Official Music Video) {4K Remaster}';
+
+test('videoIdFor reads watch, shorts, embed and youtu.be URLs', () => {
+  assert.equal(adapter.videoIdFor(`https://www.youtube.com/watch?v=${VIDEO_ID}&t=42s`), VIDEO_ID);
+  assert.equal(adapter.videoIdFor(`https://m.youtube.com/shorts/${VIDEO_ID}`), VIDEO_ID);
+  assert.equal(adapter.videoIdFor(`https://www.youtube-nocookie.com/embed/${VIDEO_ID}?rel=0`), VIDEO_ID);
+  assert.equal(adapter.videoIdFor(`https://youtu.be/${VIDEO_ID}`), VIDEO_ID);
+  assert.equal(adapter.videoIdFor('https://www.youtube.com/feed/subscriptions'), '');
+  assert.equal(adapter.videoIdFor('not a url'), '');
+});
+
+test('discoverTracks lists the caption tracks of the watch page', async () => {
+  const context = fixtureContext({ 'https://www.youtube.com/watch': 'youtube-watch.html' });
+  const result = plain(await adapter.discoverTracks({ url: `https://www.youtube.com/watch?v=${VIDEO_ID}` }, context));
+
+  assert.deepEqual(context.requested, [`https://www.youtube.com/watch?v=${VIDEO_ID}&hl=en`]);
+  assert.equal(result.title, TITLE);
+  assert.deepEqual(result.tracks.map(({ url, ...track }) => track), [
+    { language: 'en', label: 'English', kind: 'manual', format: 'json3', isTranslatable: true, vssId: '.en' },
+    { language: 'en', label: 'English (auto-generated)', kind: 'asr', format: 'json3', isTranslatable: true, vssId: 'a.en' },
+    { language: 'de-DE', label: 'German (Germany) - Deutsch', kind: 'manual', format: 'json3', isTranslatable: false, vssId: '.de-DE.Deutsch' }
+  ]);
+  assert.match(result.tracks[1].url, /^https:\/\/www\.youtube\.com\/api\/timedtext\?.*&kind=asr&lang=en$/);
+  // Relative track URLs are resolved against youtube.com
+  assert.equal(result.tracks[2].url, `https://www.youtube.com/api/timedtext?v=${VIDEO_ID}&lang=de-DE&name=Deutsch`);
+  assert.deepEqual(result.translationLanguages, [
+    { languageCode: 'de', name: 'German' },
+    { languageCode: 'ja', name: 'Japanese' }
+  ]);
+});
+
+test('discoverTracks falls back to the embed page', async () => {
+  const context = fixtureContext({ 'https://www.youtube.com/embed/': 'youtube-embed.html' });
+  const result = await adapter.discoverTracks({ url: `https://youtu.be/${VIDEO_ID}` }, context);
+
+  assert.equal(context.requested.length, 2);
+  assert.equal(result.title, TITLE);
+  assert.equal(result.tracks.length, 3);
+});
+
+test('discoverTracks resolves null when no page has a player response', async () => {
+  const context = fixtureContext({ 'https://www.youtube.com/': 'generic-requests.json' });
+  assert.equal(await adapter.discoverTracks({ url: `https://www.youtube.com/watch?v=${VIDEO_ID}` }, context), null);
+  assert.equal(await adapter.discoverTracks({ url: 'https://www.youtube.com/' }, context), null);
+});
+
+test('timedtext requests are captured as subtitles and parse as json3', () => {
+  const classifySiteRequest = script('classifySiteRequest');
+  const match = classifySiteRequest({ url: `https://www.youtube.com/api/timedtext?v=${VIDEO_ID}&lang=en&fmt=json3` });
+
+  assert.equal(match.adapter.id, 'youtube');
+  assert.equal(match.kind, 'subtitle');
+
+  const { cues } = script('parseSubtitle')(readFixture('youtube-timedtext.json3'), 'json3');
+  assert.deepEqual(plain(cues[0]), { start: 18800, end: 21300, text: "♪ We're no strangers to love ♪" });
+  assert.equal(cues.at(-1).text, "♪ A full commitment's what I'm thinking of ♪");
+});
+
+test('metadataFor and filenameHints', () => {
+  const page = { url: `https://www.youtube.com/watch?v=${VIDEO_ID}`, title: `${TITLE} - YouTube` };
+
+  assert.deepEqual(plain(adapter.metadataFor(page)), { show: TITLE, season: '', episode: '', title: TITLE });
+  assert.deepEqual(plain(adapter.metadataFor({ url: page.url, title: 'My Show S02E05 - Pilot - YouTube' })),
+    { show: 'My Show', season: '02', episode: '05', title: 'My Show S02E05 - Pilot' });
+  assert.deepEqual(plain(adapter.filenameHints(page, { kind: 'asr' })), { kind: 'auto' });
+  assert.deepEqual(plain(adapter.filenameHints(page, { kind: 'asr', targetLanguage: 'de' })), { kind: 'translated' });
+  assert.deepEqual(plain(adapter.filenameHints(page, { kind: 'manual' })), { kind: '' });
+});
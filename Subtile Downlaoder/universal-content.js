@@ -0,0 +1,216 @@
+// Generic HTML5 text track capture. Every <video> on the page (also inside open
+// shadow roots, and ones added later) is checked for <track> children and
+// video.textTracks; once a subtitle or caption track has cues they are written
+// as WebVTT and sent to the background, which applies the site policy.
+
+// Track kinds that hold subtitles (chapters, metadata and descriptions do not)
+const CAPTURED_TRACK_KINDS = ['subtitles', 'captions'];
+// Quiet time after the last cue change before a track is sent
+const TRACK_SETTLE_DELAY = 2000;
+// Players add cues while the video plays; tracks are checked for new ones this often
+const TRACK_POLL_INTERVAL = 5000;
+// Page changes are collected for this long before looking for new videos
+const VIDEO_SCAN_DELAY = 500;
+
+const watchedVideos = new WeakSet();
+// Tracks that already have a cuechange listener
+const listenedTracks = new WeakSet();
+// TextTrack -> { video, sentCount, timer }
+const trackStates = new Map();
+// The document and every open shadow root seen, each with its own observer
+let observedRoots = new WeakSet();
+let rootObservers = [];
+// Nodes added since the last scan
+const addedNodes = new Set();
+let scanTimer = null;
+let pollTimer = null;
+let trackCaptureActive = false;
+// Bumped per policy check so only the latest answer is applied
+let policyRequest = 0;
+
+// <video> elements under root, descending into open shadow roots
+function findVideos(root, found = []) {
+  root.querySelectorAll('video').forEach(video => found.push(video));
+  root.querySelectorAll('*').forEach(element => {
+    if (element.shadowRoot) findVideos(element.shadowRoot, found);
+  });
+  return found;
+}
+
+// Watch the videos in a node (the document at start, later only added subtrees);
+// open shadow roots inside it get an observer of their own
+function scanNode(node) {
+  if (node.localName === 'video') watchVideo(node);
+  node.querySelectorAll('video').forEach(watchVideo);
+  [node, ...node.querySelectorAll('*')].forEach(element => {
+    if (!element.shadowRoot) return;
+    observeRoot(element.shadowRoot);
+    scanNode(element.shadowRoot);
+  });
+}
+
+// Changes inside a shadow root are not seen by an observer on the document
+function observeRoot(root) {
+  if (observedRoots.has(root)) return;
+  observedRoots.add(root);
+  const observer = new MutationObserver(onRootMutations);
+  observer.observe(root, { childList: true, subtree: true });
+  rootObservers.push(observer);
+}
+
+function onRootMutations(records) {
+  records.forEach(record => record.addedNodes.forEach(node => {
+    if (node.nodeType === Node.ELEMENT_NODE) addedNodes.add(node);
+  }));
+  if (addedNodes.size === 0) return;
+
+  clearTimeout(scanTimer);
+  scanTimer = setTimeout(() => {
+    const nodes = [...addedNodes].filter(node => node.isConnected);
+    addedNodes.clear();
+    nodes.forEach(scanNode);
+  }, VIDEO_SCAN_DELAY);
+}
+
+function watchVideo(video) {
+  if (!watchedVideos.has(video)) {
+    watchedVideos.add(video);
+
+    // <track> elements load on their own schedule; their cues are read once loaded
+    video.querySelectorAll('track').forEach(element => {
+      element.addEventListener('load', () => scheduleTrackSend(element.track));
+    });
+    video.textTracks.addEventListener('addtrack', (event) => prepareTrack(video, event.track));
+  }
+
+  // Also after capture was switched off and on again, which forgets the tracks
+  Array.from(video.textTracks).forEach(track => prepareTrack(video, track));
+}
+
+function prepareTrack(video, track) {
+  if (!trackCaptureActive || !CAPTURED_TRACK_KINDS.includes(track.kind) || trackStates.has(track)) return;
+  trackStates.set(track, { video, sentCount: 0, timer: null });
+
+  // A disabled track never loads its cues; hidden loads them without showing them.
+  // The track stays hidden so cues added during playback keep arriving.
+  if (track.mode === 'disabled') track.mode = 'hidden';
+
+  if (!listenedTracks.has(track)) {
+    listenedTracks.add(track);
+    track.addEventListener('cuechange', () => scheduleTrackSend(track));
+  }
+  if (!pollTimer) pollTimer = setInterval(pollTracks, TRACK_POLL_INTERVAL);
+  scheduleTrackSend(track);
+}
+
+function scheduleTrackSend(track) {
+  const state = trackStates.get(track);
+  if (!state) return;
+  clearTimeout(state.timer);
+  state.timer = setTimeout(() => sendTrack(track), TRACK_SETTLE_DELAY);
+}
+
+// src of the <track> element behind a TextTrack, if there is one
+function trackElementSource(video, track) {
+  const element = Array.from(video.querySelectorAll('track')).find(candidate => candidate.track === track);
+  return element?.src || '';
+}
+
+// Stable name for a track of this page: its file, or its place among the video's tracks
+function textTrackKey(video, track) {
+  const source = trackElementSource(video, track);
+  if (source) return source;
+  const index = Array.from(video.textTracks).indexOf(track);
+  return [track.kind, track.language, track.label || track.id, index].join(':');
+}
+
+async function sendTrack(track) {
+  const state = trackStates.get(track);
+  const cues = Array.from(track.cues || []).filter(cue => typeof cue.text === 'string');
+  if (!state || cues.length === 0 || cues.length <= state.sentCount) return;
+  state.sentCount = cues.length;
+
+  const content = serializeCues(cues
+    .map(cue => ({ start: Math.round(cue.startTime * 1000), end: Math.round(cue.endTime * 1000), text: vttPayloadText(cue.text) }))
+    .sort((a, b) => a.start - b.start), 'vtt');
+
+  try {
+    await chrome.runtime.sendMessage({
+      type: 'captureTextTrack',
+      content,
+      cueCount: cues.length,
+      trackKey: textTrackKey(state.video, track),
+      trackUrl: trackElementSource(state.video, track),
+      kind: track.kind,
+      label: track.label || '',
+      language: track.language || '',
+      pageTitle: document.title,
+      pageUrl: location.href
+    });
+  } catch (error) {
+    // The extension was reloaded; this copy of the script is orphaned
+  }
+}
+
+// Tracks filled while the video plays don't always fire cuechange
+function pollTracks() {
+  trackStates.forEach((state, track) => {
+    if (!state.video.isConnected) {
+      clearTimeout(state.timer);
+      trackStates.delete(track);
+    } else if ((track.cues?.length || 0) > state.sentCount) {
+      scheduleTrackSend(track);
+    }
+  });
+
+  if (trackStates.size === 0) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+}
+
+function startTrackCapture() {
+  trackCaptureActive = true;
+  observeRoot(document);
+  scanNode(document);
+}
+
+function stopTrackCapture() {
+  trackCaptureActive = false;
+  rootObservers.forEach(observer => observer.disconnect());
+  rootObservers = [];
+  observedRoots = new WeakSet();
+  clearTimeout(scanTimer);
+  addedNodes.clear();
+  trackStates.forEach(state => clearTimeout(state.timer));
+  trackStates.clear();
+  clearInterval(pollTimer);
+  pollTimer = null;
+}
+
+// Follow the site policy as it changes: "never" stops capture on this page, leaving it starts again.
+// Like the background, decide by the tab's URL, not by this frame's (a player iframe has its own)
+async function applyTrackCapturePolicy() {
+  const request = ++policyRequest;
+  let pageUrl;
+  try {
+    pageUrl = (await chrome.runtime.sendMessage({ type: 'getSitePolicy' }))?.pageUrl;
+  } catch (error) {
+    // The extension was reloaded; this copy of the script is orphaned
+  }
+  if (request !== policyRequest) return;
+
+  const enabled = Boolean(pageUrl) && sitePolicyFor(pageUrl) !== 'never';
+  if (enabled && !trackCaptureActive) startTrackCapture();
+  else if (!enabled && trackCaptureActive) stopTrackCapture();
+}
+
+Settings.onChange((keys) => {
+  if (['autoCapture', 'defaultSitePolicy', 'sitePolicies'].some(key => keys.includes(key))) {
+    applyTrackCapturePolicy();
+  }
+});
+
+Settings.load()
+  .catch(error => console.warn('[SubtitleCatcher] Could not load settings:', error))
+  .then(applyTrackCapturePolicy);